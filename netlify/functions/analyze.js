@@ -1,51 +1,113 @@
 // Netlify Function: analyze
 // Secure placeholder integrating Vision + LLM scoring.
-// Expects either multipart/form-data with 'image' or JSON { image_base64, barcode, use_model }
-// NEVER hardcode API keys – uses environment variable OPENAI_API_KEY.
+// Expects either multipart/form-data ('image' file part, 'barcode' and 'use_model' fields)
+// or JSON { image_base64, barcode, use_model }. MAX_IMAGE_BYTES is enforced while the body streams in.
+// The model is reached through a provider adapter (netlify/lib/providers.js) chosen by MODEL_PROVIDER.
+// NEVER hardcode API keys – adapters read OPENAI_API_KEY / ANTHROPIC_API_KEY from the environment.
+
+import { getBoundary, parseMultipart, readJson } from '../lib/multipart.js';
+import { httpError } from '../lib/http.js';
+import { normalizeResult, createPartialParser } from '../lib/result.js';
+import { getProvider, finish } from '../lib/providers.js';
+import { rateLimiterFromEnv } from '../lib/rateLimit.js';
+import { createResultCache, imageDigest } from '../lib/resultCache.js';
 
 export const config = { path: '/api/analyze' };
 
-// Helper to read body (JSON fallback)
+const MAX_IMAGE_BYTES = 400_000; // ~400 KB budget
+
+// One limiter per warm instance (the memory store lives as long as the instance)
+let limiter = null;
+
+// Model results by barcode / image digest; RESULT_CACHE_TTL_MS (default 10 min), 0 disables
+const CACHE_TTL_MS = process.env.RESULT_CACHE_TTL_MS !== undefined ? Number(process.env.RESULT_CACHE_TTL_MS) : 10 * 60 * 1000;
+const resultCache = createResultCache({ ttlMs: CACHE_TTL_MS });
+
+const truthy = (v) => ['1', 'true', 'on'].includes(String(v || '').toLowerCase());
+
+// Read multipart (image file part + barcode / use_model / force fields) or JSON ({ image_base64, ... })
+// into { image: Buffer | null, image_type, barcode, use_model, force }
 async function readBody(req) {
-  return new Promise((resolve) => {
-    let data = '';
-    req.on('data', (c) => (data += c));
-    req.on('end', () => {
-      try { resolve(JSON.parse(data)); } catch { resolve({}); }
-    });
+  const contentType = req.headers['content-type'] || '';
+  if (/^multipart\/form-data/i.test(contentType)) {
+    const boundary = getBoundary(contentType);
+    if (!boundary) throw httpError(400, 'Missing multipart boundary');
+    const { fields, files } = await parseMultipart(req, boundary, { maxFileBytes: MAX_IMAGE_BYTES });
+    const file = files.image;
+    return {
+      image: file && file.data.length ? file.data : null,
+      image_type: file ? file.type : null,
+      barcode: fields.barcode || undefined,
+      use_model: truthy(fields.use_model),
+      force: truthy(fields.force),
+    };
+  }
+  // base64 inflates by 4/3; allow a little room for the other keys
+  const body = await readJson(req, Math.ceil(MAX_IMAGE_BYTES * 4 / 3) + 4096);
+  const image = typeof body.image_base64 === 'string' && body.image_base64 ? Buffer.from(body.image_base64, 'base64') : null;
+  if (image && image.length > MAX_IMAGE_BYTES) throw httpError(413, 'Image too large', { max_bytes: MAX_IMAGE_BYTES });
+  return { image, image_type: image ? 'image/jpeg' : null, barcode: body.barcode, use_model: !!body.use_model, force: !!body.force };
+}
+
+// Mock fallback heuristic result
+function fallbackResult(modelTried) {
+  const mockScore = 7;
+  return normalizeResult({
+    score: mockScore,
+    pros: ['Sample fresh indicator', 'Balanced ingredients'],
+    cons: ['Mock data - integrate real model'],
+    confidence: 65,
+    model: modelTried ? 'fallback-mock' : 'placeholder-mock'
   });
 }
 
-// Sanitize / validate model output structure
-function normalizeResult(raw) {
-  const out = { score: 5, pros: [], cons: [], confidence: 50, model: 'normalized' };
-  if (!raw || typeof raw !== 'object') return out;
-  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
-  if (typeof raw.score === 'number') out.score = clamp(Math.round(raw.score), 1, 10);
-  if (typeof raw.confidence === 'number') out.confidence = clamp(Math.round(raw.confidence), 0, 100);
-  const limitList = (arr) => Array.isArray(arr) ? arr.filter(x => typeof x === 'string').slice(0, 6).map(s => s.slice(0, 60)) : [];
-  out.pros = limitList(raw.pros);
-  out.cons = limitList(raw.cons);
-  if (typeof raw.model === 'string') out.model = raw.model.slice(0, 40);
-  return out;
+// NDJSON streaming is opt-in (Accept: application/x-ndjson or ?stream=1); plain JSON stays the default
+function wantsStream(req) {
+  if (/application\/x-ndjson/i.test(req.headers.accept || '')) return true;
+  return new URL(req.url || '/', 'http://localhost').searchParams.get('stream') === '1';
 }
 
-// Attempt to extract JSON if model returns text with surrounding prose / code fences
-function extractJSON(text) {
-  if (!text) return null;
-  try { return JSON.parse(text); } catch (_) {}
-  const match = text.match(/\{[\s\S]*\}/); // first object
-  if (match) {
-    try { return JSON.parse(match[0]); } catch (_) {}
+// One JSON event per line: start, then score / pros / cons / confidence as the model produces
+// them, then a final event carrying the same shape as the single-shot JSON response.
+async function streamAnalysis(res, provider, input, wantModel, cached) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+  const send = (evt) => res.write(JSON.stringify(evt) + '\n');
+
+  let final = cached;
+  if (wantModel && !cached) {
+    send({ type: 'start', model: provider.label });
+    try {
+      if (provider.stream) {
+        const parse = createPartialParser();
+        let text = '';
+        for await (const delta of provider.stream(input)) {
+          text += delta;
+          parse(text).forEach(send);
+        }
+        final = finish(text, provider.label);
+      } else {
+        final = await provider.analyze(input);
+      }
+    } catch (modelErr) {
+      console.warn(`model stream failed (${provider.name})`, modelErr);
+      final = null;
+    }
   }
-  return null;
+
+  send({ type: 'final', ...(final || fallbackResult(wantModel)), barcode: input.barcode || null, ts: Date.now() });
+  res.end();
+  return cached ? null : final;
 }
 
 export default async (req, res) => {
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-  if (!OPENAI_API_KEY) {
-    res.statusCode = 500;
-    res.end(JSON.stringify({ error: 'Missing OPENAI_API_KEY env var' }));
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (err) {
+    res.statusCode = err.statusCode || 500;
+    res.end(JSON.stringify({ error: err.message }));
     return;
   }
 
@@ -58,71 +120,54 @@ export default async (req, res) => {
       return;
     }
 
-    // For brevity we treat everything as JSON; production: detect multipart & parse.
-    const body = await readBody(req);
-    const { image_base64, barcode, use_model } = body;
-
-    // Basic validations
-    const MAX_IMAGE_BYTES = 400_000; // ~400 KB budget
-    if (image_base64) {
-      const rawLen = image_base64.length * 0.75; // rough
-      if (rawLen > MAX_IMAGE_BYTES) {
-        res.statusCode = 413;
-        res.end(JSON.stringify({ error: 'Image too large', max_bytes: MAX_IMAGE_BYTES }));
-        return;
-      }
+    // Throttle before reading the body so rejected clients don't cost an upload
+    limiter ||= rateLimiterFromEnv();
+    const limit = await limiter.check(req);
+    if (!limit.allowed) {
+      res.statusCode = 429;
+      res.setHeader('Retry-After', String(limit.retryAfter));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: 'Rate limit exceeded', retry_after: limit.retryAfter }));
+      return;
+    }
+    res.setHeader('X-RateLimit-Remaining', String(limit.remaining));
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      res.statusCode = err.statusCode;
+      res.end(JSON.stringify({ error: err.message, ...(err.extra || {}) }));
+      return;
     }
+    const { image, image_type, barcode, use_model, force } = body;
+    const input = { image, imageType: image_type, barcode };
+    const wantModel = !!(use_model && image);
+    const cacheKey = { hash: imageDigest(image), barcode };
+    const cachedResult = wantModel && !force && CACHE_TTL_MS > 0 ? resultCache.get(cacheKey) : null;
+    const cached = cachedResult ? { ...cachedResult, cached: true } : null;
 
-    let final = null;
-    let modelTried = false;
+    if (wantsStream(req)) {
+      const fresh = await streamAnalysis(res, provider, input, wantModel, cached);
+      if (fresh && CACHE_TTL_MS > 0) resultCache.set({ ...cacheKey, result: fresh });
+      return;
+    }
 
-    if (use_model && image_base64) {
-      modelTried = true;
+    let final = cached;
+    if (wantModel && !cached) {
       try {
-        // --- Uncomment & adjust when enabling real model call ---
-        // const openAiResp = await fetch('https://api.openai.com/v1/responses', {
-        //   method: 'POST',
-        //   headers: {
-        //     'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        //     'Content-Type': 'application/json'
-        //   },
-        //   body: JSON.stringify({
-        //     model: 'gpt-4.1-mini',
-        //     input: [
-        //       { role: 'user', content: [
-        //         { type: 'input_text', text: 'Analyze this grocery / product photo and output STRICT JSON only with keys: score (1-10 int), pros (array short phrases), cons (array short phrases), confidence (0-100 int). No extra commentary.' },
-        //         { type: 'input_image', image_base64 }
-        //       ]}
-        //     ],
-        //     temperature: 0.1
-        //   })
-        // });
-        // if (!openAiResp.ok) throw new Error('Model HTTP ' + openAiResp.status);
-        // const openAiJson = await openAiResp.json();
-        // // Depending on API shape; pick text or structured field
-        // const text = openAiJson.output_text || openAiJson.choices?.[0]?.message?.content || JSON.stringify(openAiJson);
-        // const parsed = extractJSON(typeof text === 'string' ? text : JSON.stringify(text));
-        // final = normalizeResult(parsed);
+        final = await provider.analyze(input);
+        if (CACHE_TTL_MS > 0) resultCache.set({ ...cacheKey, result: final });
       } catch (modelErr) {
         // Fallback will kick in
+        console.warn(`model call failed (${provider.name})`, modelErr);
         final = null;
       }
     }
 
-    if (!final) {
-      // Mock fallback heuristic result
-      const mockScore = 7;
-      final = normalizeResult({
-        score: mockScore,
-        pros: ['Sample fresh indicator', 'Balanced ingredients'],
-        cons: ['Mock data - integrate real model'],
-        confidence: 65,
-        model: modelTried ? 'fallback-mock' : 'placeholder-mock'
-      });
-    }
-
     const response = {
-      ...final,
+      ...(final || fallbackResult(wantModel)),
       barcode: barcode || null,
       ts: Date.now(),
     };
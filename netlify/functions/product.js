@@ -0,0 +1,43 @@
+// Netlify Function: product
+// Resolves a GTIN (EAN-13/8, UPC-A) against the bundled Open Food Facts–format dataset.
+// GET /api/product/:barcode -> { barcode, product: { name, brand, category, nutriments, ingredients, allergens, ... } }
+
+import { findProduct, normalizeGtin } from '../lib/products.js';
+
+export const config = { path: '/api/product/:barcode' };
+
+export default async (req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  try {
+    const method = req.method || 'GET';
+    if (method !== 'GET') {
+      res.statusCode = 405;
+      res.setHeader('Allow', 'GET');
+      res.end(JSON.stringify({ error: 'Use GET' }));
+      return;
+    }
+
+    // Works for both /api/product/<code> and /.netlify/functions/product/<code>
+    const { pathname } = new URL(req.url || '/', 'http://localhost');
+    const raw = decodeURIComponent(pathname.split('/').filter(Boolean).pop() || '');
+    const barcode = normalizeGtin(raw);
+    if (!barcode) {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: 'Invalid barcode', barcode: raw }));
+      return;
+    }
+
+    const product = await findProduct(barcode);
+    if (!product) {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: 'Product not found', barcode }));
+      return;
+    }
+
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.end(JSON.stringify({ barcode, product, source: 'local-off' }));
+  } catch (e) {
+    res.statusCode = 500;
+    res.end(JSON.stringify({ error: 'Lookup failed', detail: String(e) }));
+  }
+};
@@ -0,0 +1,7 @@
+// Errors carrying an HTTP status; handlers answer { error: message, ...extra } with it
+export function httpError(statusCode, message, extra) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (extra) err.extra = extra;
+  return err;
+}
@@ -0,0 +1,155 @@
+// Minimal streaming multipart/form-data parser (no dependencies).
+// File parts are size-checked chunk by chunk, so an oversized upload is rejected
+// as soon as it crosses the limit instead of after the whole body is buffered.
+
+import { httpError } from './http.js';
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_FIELD_BYTES = 4096;
+const MAX_HEADER_BYTES = 8192;
+
+export function getBoundary(contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  return m ? (m[1] || m[2]) : null;
+}
+
+function parsePartHeaders(text) {
+  const headers = {};
+  for (const line of text.split('\r\n')) {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  const disp = headers['content-disposition'] || '';
+  const name = /\bname="([^"]*)"/i.exec(disp);
+  const filename = /\bfilename="([^"]*)"/i.exec(disp);
+  return { name: name ? name[1] : '', filename: filename ? filename[1] : null, type: headers['content-type'] || 'application/octet-stream' };
+}
+
+/**
+ * Parse a multipart request stream.
+ * Resolves { fields: { name: string }, files: { name: { data: Buffer, type, filename } } }.
+ * Rejects with statusCode 413 when a file part exceeds maxFileBytes, 400 on malformed bodies.
+ */
+export function parseMultipart(req, boundary, { maxFileBytes }) {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    const files = {};
+    // Prepend CRLF so the first boundary matches the same delimiter as the rest
+    let buf = Buffer.from('\r\n');
+    let state = 'preamble'; // preamble -> headers -> body -> (headers | done)
+    let part = null;
+    let chunks = [];
+    let size = 0;
+    let finished = false;
+
+    const fail = (err) => {
+      if (finished) return;
+      finished = true;
+      buf = Buffer.alloc(0);
+      reject(err);
+    };
+
+    const append = (data) => {
+      size += data.length;
+      const limit = part.filename !== null ? maxFileBytes : MAX_FIELD_BYTES;
+      if (size > limit) {
+        throw part.filename !== null
+          ? httpError(413, 'Image too large', { max_bytes: maxFileBytes })
+          : httpError(400, `Field ${part.name} too large`);
+      }
+      chunks.push(data);
+    };
+
+    const closePart = () => {
+      const data = Buffer.concat(chunks);
+      if (part.filename !== null) files[part.name] = { data, type: part.type, filename: part.filename };
+      else fields[part.name] = data.toString('utf8');
+      part = null; chunks = []; size = 0;
+    };
+
+    const drain = () => {
+      for (;;) {
+        if (state === 'preamble') {
+          const i = buf.indexOf(delimiter);
+          if (i < 0) { buf = buf.subarray(Math.max(0, buf.length - delimiter.length)); return; }
+          buf = buf.subarray(i + delimiter.length);
+          state = 'after-boundary';
+        }
+        if (state === 'after-boundary') {
+          if (buf.length < 2) return;
+          if (buf[0] === 0x2d && buf[1] === 0x2d) { state = 'done'; return; } // closing "--"
+          if (!buf.subarray(0, 2).equals(CRLF)) throw httpError(400, 'Malformed multipart body');
+          buf = buf.subarray(2);
+          state = 'headers';
+        }
+        if (state === 'headers') {
+          const i = buf.indexOf(HEADER_END);
+          if (i < 0) {
+            if (buf.length > MAX_HEADER_BYTES) throw httpError(400, 'Multipart headers too large');
+            return;
+          }
+          part = parsePartHeaders(buf.subarray(0, i).toString('utf8'));
+          buf = buf.subarray(i + HEADER_END.length);
+          state = 'body';
+        }
+        if (state === 'body') {
+          const i = buf.indexOf(delimiter);
+          if (i < 0) {
+            // Keep a tail that could be the start of a split delimiter
+            const keep = delimiter.length - 1;
+            if (buf.length > keep) {
+              append(buf.subarray(0, buf.length - keep));
+              buf = buf.subarray(buf.length - keep);
+            }
+            return;
+          }
+          append(buf.subarray(0, i));
+          closePart();
+          buf = buf.subarray(i + delimiter.length);
+          state = 'after-boundary';
+        }
+        if (state === 'done') return;
+      }
+    };
+
+    req.on('data', (c) => {
+      if (finished) return;
+      buf = buf.length ? Buffer.concat([buf, c]) : c;
+      try { drain(); } catch (e) { fail(e); }
+    });
+    req.on('end', () => {
+      if (finished) return;
+      if (state !== 'done') return fail(httpError(400, 'Unexpected end of multipart body'));
+      finished = true;
+      resolve({ fields, files });
+    });
+    req.on('error', fail);
+  });
+}
+
+// Read a JSON body, refusing anything past maxBytes while it streams in
+export function readJson(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let finished = false;
+    req.on('data', (c) => {
+      if (finished) return;
+      size += c.length;
+      if (size > maxBytes) {
+        finished = true;
+        reject(httpError(413, 'Body too large', { max_bytes: maxBytes }));
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => {
+      if (finished) return;
+      finished = true;
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); } catch { resolve({}); }
+    });
+    req.on('error', (e) => { if (!finished) { finished = true; reject(e); } });
+  });
+}
@@ -0,0 +1,122 @@
+// Local product dataset (Open Food Facts export format).
+// Records are read once per warm function instance from JSON (array) or NDJSON
+// and indexed by normalized GTIN so lookups are O(1).
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const DEFAULT_DATASET = 'netlify/data/products.ndjson';
+
+// OFF nutriment keys (per 100 g) -> response keys
+const NUTRIENT_KEYS = {
+  'energy-kj_100g': 'energy_kj',
+  'energy-kcal_100g': 'energy_kcal',
+  'fat_100g': 'fat',
+  'saturated-fat_100g': 'saturated_fat',
+  'carbohydrates_100g': 'carbohydrates',
+  'sugars_100g': 'sugars',
+  'fiber_100g': 'fiber',
+  'proteins_100g': 'proteins',
+  'salt_100g': 'salt',
+  'sodium_100g': 'sodium',
+  'fruits-vegetables-nuts-estimate-from-ingredients_100g': 'fruits_vegetables_nuts',
+};
+
+let indexPromise = null;
+
+// Strip formatting, accept GTIN-8/12/13/14 and pad to 13 digits (UPC-A -> EAN-13).
+export function normalizeGtin(input) {
+  const digits = String(input || '').replace(/\D/g, '');
+  if (![8, 12, 13, 14].includes(digits.length)) return null;
+  if (!hasValidCheckDigit(digits)) return null;
+  if (digits.length === 12) return '0' + digits;
+  if (digits.length === 14 && digits.startsWith('0')) return digits.slice(1);
+  return digits;
+}
+
+// GS1 mod-10 check digit
+function hasValidCheckDigit(digits) {
+  let sum = 0;
+  for (let i = digits.length - 2, w = 3; i >= 0; i--, w = w === 3 ? 1 : 3) sum += Number(digits[i]) * w;
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+function parseRecords(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) return JSON.parse(trimmed);
+  return trimmed.split('\n').filter(Boolean).map((line) => {
+    try { return JSON.parse(line); } catch { return null; }
+  }).filter(Boolean);
+}
+
+async function buildIndex() {
+  const file = path.resolve(process.cwd(), process.env.PRODUCTS_DATASET || DEFAULT_DATASET);
+  const records = parseRecords(await readFile(file, 'utf8'));
+  const index = new Map();
+  for (const rec of records) {
+    const key = normalizeGtin(rec.code);
+    if (key && !index.has(key)) index.set(key, rec);
+  }
+  return index;
+}
+
+function getIndex() {
+  if (!indexPromise) {
+    indexPromise = buildIndex().catch((e) => { indexPromise = null; throw e; });
+  }
+  return indexPromise;
+}
+
+const stripLang = (tag) => String(tag).replace(/^[a-z]{2}:/, '');
+
+// Split on top-level commas only: "chocolate (sugar, cocoa), salt" -> 2 items
+function splitIngredients(text) {
+  const out = [];
+  let depth = 0, cur = '';
+  for (const ch of String(text || '')) {
+    if (ch === '(' || ch === '[') depth++;
+    if (ch === ')' || ch === ']') depth = Math.max(0, depth - 1);
+    if (ch === ',' && depth === 0) { out.push(cur); cur = ''; } else cur += ch;
+  }
+  out.push(cur);
+  return out.map(s => s.trim().replace(/\.$/, '')).filter(Boolean);
+}
+
+// Shape a raw OFF record into the compact payload the client renders
+export function toProduct(rec) {
+  const nutriments = {};
+  const src = rec.nutriments || {};
+  for (const [offKey, key] of Object.entries(NUTRIENT_KEYS)) {
+    const v = Number(src[offKey]);
+    if (src[offKey] !== undefined && src[offKey] !== '' && Number.isFinite(v)) nutriments[key] = v;
+  }
+  if (nutriments.sodium === undefined && nutriments.salt !== undefined) nutriments.sodium = +(nutriments.salt / 2.5).toFixed(4);
+  if (nutriments.salt === undefined && nutriments.sodium !== undefined) nutriments.salt = +(nutriments.sodium * 2.5).toFixed(4);
+
+  const categories = (rec.categories_tags || []).map(stripLang);
+  const categoryText = String(rec.categories || '').split(',').map(s => s.trim()).filter(Boolean);
+  const ingredients = Array.isArray(rec.ingredients) && rec.ingredients.length
+    ? rec.ingredients.map(i => i && i.text).filter(Boolean)
+    : splitIngredients(rec.ingredients_text);
+
+  return {
+    code: normalizeGtin(rec.code) || String(rec.code),
+    name: rec.product_name || '',
+    brand: String(rec.brands || '').split(',')[0].trim(),
+    category: categoryText[categoryText.length - 1] || (categories[categories.length - 1] || ''),
+    categories,
+    nutriments,
+    ingredients,
+    ingredients_text: rec.ingredients_text || '',
+    allergens: (rec.allergens_tags || []).map(stripLang),
+    labels: (rec.labels_tags || []).map(stripLang),
+  };
+}
+
+export async function findProduct(barcode) {
+  const key = normalizeGtin(barcode);
+  if (!key) return null;
+  const index = await getIndex();
+  const rec = index.get(key);
+  return rec ? toProduct(rec) : null;
+}
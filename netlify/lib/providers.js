@@ -0,0 +1,196 @@
+// Model-provider adapters for /api/analyze.
+// MODEL_PROVIDER selects one of: openai | anthropic | ollama | mock
+// (default: openai when OPENAI_API_KEY is set, otherwise mock).
+// Each adapter turns { image, imageType, barcode } into a provider request and runs
+// the reply text through extractJSON + normalizeResult; `model` reports "<provider>:<model>".
+// `stream(input)` yields the reply text in deltas as the provider produces it.
+
+import { extractJSON, normalizeResult } from './result.js';
+import { httpError } from './http.js';
+
+const PROMPT = 'Analyze this grocery / product photo and output STRICT JSON only with keys in this order: score (1-10 int), pros (array short phrases), cons (array short phrases), confidence (0-100 int), and nutriments (object, per 100 g: energy_kj, sugars, saturated_fat, sodium, fiber, proteins, fruits_vegetables_nuts) only if a nutrition label is legible. No extra commentary.';
+
+const promptFor = (barcode) => (barcode ? `${PROMPT}\nThe product barcode is ${barcode}.` : PROMPT);
+
+const timeoutSignal = () => AbortSignal.timeout(Number(process.env.MODEL_TIMEOUT_MS) || 20000);
+
+export function finish(text, label) {
+  const out = normalizeResult(extractJSON(text));
+  out.model = label.slice(0, 40);
+  return out;
+}
+
+async function post(url, headers, body) {
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: timeoutSignal(),
+  });
+  if (!resp.ok) throw new Error('Model HTTP ' + resp.status);
+  return resp;
+}
+
+const postJSON = async (url, headers, body) => (await post(url, headers, body)).json();
+
+// Server-sent events from a fetch response: yields parsed `data:` payloads (JSON), stops at [DONE]
+async function* sseData(resp) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const chunk of resp.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let i;
+    while ((i = buf.indexOf('\n\n')) >= 0) {
+      const block = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      const data = block.split('\n').filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('\n');
+      if (!data) continue;
+      if (data === '[DONE]') return;
+      try { yield JSON.parse(data); } catch (_) { /* skip keep-alives / partial junk */ }
+    }
+  }
+}
+
+// OpenAI chat completions wire format; also spoken by Ollama, LM Studio, vLLM, ...
+function openAICompatible({ name, baseUrl, apiKey, model }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const request = ({ image, imageType, barcode }, stream) => ({
+    model,
+    temperature: 0.1,
+    stream,
+    messages: [{
+      role: 'user',
+      content: [
+        { type: 'text', text: promptFor(barcode) },
+        { type: 'image_url', image_url: { url: `data:${imageType || 'image/jpeg'};base64,${image.toString('base64')}` } },
+      ],
+    }],
+  });
+  return {
+    name,
+    model,
+    label: `${name}:${model}`,
+    async analyze(input) {
+      const json = await postJSON(url, headers, request(input, false));
+      const text = json.choices?.[0]?.message?.content;
+      return finish(typeof text === 'string' ? text : JSON.stringify(text), this.label);
+    },
+    async* stream(input) {
+      const resp = await post(url, headers, request(input, true));
+      for await (const evt of sseData(resp)) {
+        const delta = evt.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+  };
+}
+
+function anthropic({ apiKey, model }) {
+  const url = 'https://api.anthropic.com/v1/messages';
+  const headers = { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' };
+  const request = ({ image, imageType, barcode }, stream) => ({
+    model,
+    max_tokens: 512,
+    temperature: 0.1,
+    stream,
+    messages: [{
+      role: 'user',
+      content: [
+        { type: 'image', source: { type: 'base64', media_type: imageType || 'image/jpeg', data: image.toString('base64') } },
+        { type: 'text', text: promptFor(barcode) },
+      ],
+    }],
+  });
+  return {
+    name: 'anthropic',
+    model,
+    label: `anthropic:${model}`,
+    async analyze(input) {
+      const json = await postJSON(url, headers, request(input, false));
+      const text = (json.content || []).filter(c => c.type === 'text').map(c => c.text).join('\n');
+      return finish(text, this.label);
+    },
+    async* stream(input) {
+      const resp = await post(url, headers, request(input, true));
+      for await (const evt of sseData(resp)) {
+        if (evt.type === 'content_block_delta' && evt.delta && evt.delta.type === 'text_delta') yield evt.delta.text;
+        if (evt.type === 'message_stop') return;
+      }
+    },
+  };
+}
+
+// FNV-1a over the image bytes and barcode: same input -> same result
+function fingerprint(image, barcode) {
+  let h = 0x811c9dc5;
+  const feed = (byte) => { h ^= byte; h = Math.imul(h, 0x01000193) >>> 0; };
+  for (let i = 0; i < image.length; i++) feed(image[i]);
+  for (const ch of String(barcode || '')) feed(ch.charCodeAt(0) & 0xff);
+  return h;
+}
+
+const MOCK_PROS = ['Sample fresh indicator', 'Balanced ingredients', 'Short ingredient list', 'Whole-food appearance'];
+const MOCK_CONS = ['Mock data - integrate real model', 'Possible added sugar', 'Check sodium', 'Processed packaging cues'];
+
+// Offline provider: deterministic reply, wrapped in prose so extractJSON is exercised too
+function mock() {
+  const replyText = ({ image, barcode }) => {
+    const h = fingerprint(image, barcode);
+    const reply = {
+      score: 1 + (h % 10),
+      pros: [MOCK_PROS[(h >>> 4) % MOCK_PROS.length], MOCK_PROS[(h >>> 12) % MOCK_PROS.length]].filter((v, i, a) => a.indexOf(v) === i),
+      cons: [MOCK_CONS[0], MOCK_CONS[1 + ((h >>> 16) % (MOCK_CONS.length - 1))]],
+      confidence: 40 + ((h >>> 8) % 50),
+    };
+    return `Here is the analysis:\n\`\`\`json\n${JSON.stringify(reply)}\n\`\`\``;
+  };
+  return {
+    name: 'mock',
+    model: 'deterministic',
+    label: 'mock:deterministic',
+    async analyze(input) {
+      return finish(replyText(input), this.label);
+    },
+    // Fixed-size chunks with a short pause, like a slow model
+    async* stream(input) {
+      const text = replyText(input);
+      for (let i = 0; i < text.length; i += 16) {
+        await new Promise(r => setTimeout(r, 40));
+        yield text.slice(i, i + 16);
+      }
+    },
+  };
+}
+
+function requireEnv(env, key) {
+  const v = env[key];
+  if (!v) throw httpError(500, `Missing ${key} env var`);
+  return v;
+}
+
+export function getProvider(env = process.env) {
+  const name = (env.MODEL_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'mock')).toLowerCase();
+  switch (name) {
+    case 'openai':
+      return openAICompatible({
+        name: 'openai',
+        baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: requireEnv(env, 'OPENAI_API_KEY'),
+        model: env.OPENAI_MODEL || 'gpt-4.1-mini',
+      });
+    case 'anthropic':
+      return anthropic({ apiKey: requireEnv(env, 'ANTHROPIC_API_KEY'), model: env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest' });
+    case 'ollama':
+      return openAICompatible({
+        name: 'ollama',
+        baseUrl: env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: env.OLLAMA_API_KEY,
+        model: env.OLLAMA_MODEL || 'llava',
+      });
+    case 'mock':
+      return mock();
+    default:
+      throw httpError(500, `Unknown MODEL_PROVIDER "${name}"`);
+  }
+}
@@ -0,0 +1,143 @@
+// Token-bucket rate limiting with per-client daily quotas for /api/analyze.
+//
+// RATE_LIMIT_STORE   memory (default) | file | blobs
+// RATE_LIMIT_FILE    path for the file store (default /tmp/phs-rate-limits.json)
+// RATE_LIMIT_BURST   bucket capacity (default 5)
+// RATE_LIMIT_PER_MIN refill rate in requests per minute (default 20)
+// RATE_LIMIT_DAILY   requests per client per UTC day (default 500, 0 = unlimited)
+//
+// Clients are keyed by the X-Client-Id header when present, else by IP. Every request
+// also draws from a per-IP bucket with 4x the limits so rotating ids doesn't help.
+
+import { readFile, writeFile } from 'node:fs/promises';
+
+const IP_MULTIPLIER = 4;
+
+// --- stores: async get(key) -> state | null, async set(key, state, ttlMs) ---
+
+export function memoryStore() {
+  const map = new Map();
+  return {
+    async get(key) {
+      const e = map.get(key);
+      if (!e) return null;
+      if (e.expires < Date.now()) { map.delete(key); return null; }
+      return e.state;
+    },
+    async set(key, state, ttlMs) {
+      map.set(key, { state, expires: Date.now() + ttlMs });
+    },
+  };
+}
+
+// Single JSON file; fine for one long-lived instance (netlify dev, a VM), not for many
+export function fileStore(file) {
+  let cache = null;
+  const load = async () => {
+    if (cache) return cache;
+    try { cache = JSON.parse(await readFile(file, 'utf8')); } catch { cache = {}; }
+    return cache;
+  };
+  return {
+    async get(key) {
+      const data = await load();
+      const e = data[key];
+      return e && e.expires >= Date.now() ? e.state : null;
+    },
+    async set(key, state, ttlMs) {
+      const data = await load();
+      const now = Date.now();
+      for (const k of Object.keys(data)) if (data[k].expires < now) delete data[k];
+      data[key] = { state, expires: now + ttlMs };
+      await writeFile(file, JSON.stringify(data));
+    },
+  };
+}
+
+// Netlify Blobs (KV) — shared across function instances
+export function blobsStore(name = 'rate-limits') {
+  let storePromise = null;
+  const getStore = () => (storePromise ||= import('@netlify/blobs').then(m => m.getStore(name)));
+  return {
+    async get(key) {
+      const e = await (await getStore()).get(key, { type: 'json' });
+      return e && e.expires >= Date.now() ? e.state : null;
+    },
+    async set(key, state, ttlMs) {
+      await (await getStore()).setJSON(key, { state, expires: Date.now() + ttlMs });
+    },
+  };
+}
+
+export function createStore(env = process.env) {
+  switch ((env.RATE_LIMIT_STORE || 'memory').toLowerCase()) {
+    case 'file': return fileStore(env.RATE_LIMIT_FILE || '/tmp/phs-rate-limits.json');
+    case 'blobs': return blobsStore();
+    default: return memoryStore();
+  }
+}
+
+// --- limiter ---
+
+const utcDay = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+export function clientKeys(req) {
+  const h = req.headers || {};
+  const ip = h['x-nf-client-connection-ip'] || String(h['x-forwarded-for'] || '').split(',')[0].trim() || (req.socket && req.socket.remoteAddress) || 'unknown';
+  const id = String(h['x-client-id'] || '').replace(/[^\w-]/g, '').slice(0, 64);
+  return { ip, id };
+}
+
+/**
+ * createRateLimiter({ store, burst, perMinute, daily })
+ * check(req) -> { allowed, retryAfter (s), remaining }
+ */
+export function createRateLimiter({ store, burst = 5, perMinute = 20, daily = 500 }) {
+  const refillPerMs = perMinute / 60000;
+
+  // Refill, then try to take one token; returns the new state and the wait (ms) if empty
+  const take = (state, now, capacity, rate, quota) => {
+    const s = state ? { ...state } : { tokens: capacity, updated: now, day: utcDay(now), used: 0 };
+    s.tokens = Math.min(capacity, s.tokens + (now - s.updated) * rate);
+    s.updated = now;
+    if (s.day !== utcDay(now)) { s.day = utcDay(now); s.used = 0; }
+    if (quota && s.used >= quota) {
+      const midnight = Date.parse(`${s.day}T00:00:00Z`) + 86400000;
+      return { state: s, waitMs: midnight - now };
+    }
+    if (s.tokens < 1) return { state: s, waitMs: (1 - s.tokens) / rate };
+    s.tokens -= 1;
+    s.used += 1;
+    return { state: s, waitMs: 0 };
+  };
+
+  return {
+    async check(req) {
+      const now = Date.now();
+      const { ip, id } = clientKeys(req);
+      const ttl = Math.max(86400000, burst / refillPerMs);
+      const buckets = [[`ip:${ip}`, burst * IP_MULTIPLIER, refillPerMs * IP_MULTIPLIER, daily * IP_MULTIPLIER]];
+      if (id) buckets.unshift([`id:${id}`, burst, refillPerMs, daily]);
+
+      // Evaluate every bucket before committing so a rejected request costs nothing
+      const results = [];
+      for (const [key, capacity, rate, quota] of buckets) {
+        results.push([key, take(await store.get(key), now, capacity, rate, quota)]);
+      }
+      const waitMs = Math.max(...results.map(([, r]) => r.waitMs));
+      if (waitMs > 0) return { allowed: false, retryAfter: Math.ceil(waitMs / 1000), remaining: 0 };
+      for (const [key, r] of results) await store.set(key, r.state, ttl);
+      return { allowed: true, retryAfter: 0, remaining: Math.floor(results[0][1].state.tokens) };
+    },
+  };
+}
+
+export function rateLimiterFromEnv(env = process.env) {
+  const num = (v, d) => (v !== undefined && v !== '' && Number.isFinite(Number(v)) ? Number(v) : d);
+  return createRateLimiter({
+    store: createStore(env),
+    burst: num(env.RATE_LIMIT_BURST, 5),
+    perMinute: num(env.RATE_LIMIT_PER_MIN, 20),
+    daily: num(env.RATE_LIMIT_DAILY, 500),
+  });
+}
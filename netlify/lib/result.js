@@ -0,0 +1,60 @@
+// Shared shaping of model replies into the /api/analyze response contract
+// { score 1-10, pros[], cons[], confidence 0-100, model, nutriments? }
+
+// Sanitize / validate model output structure
+export function normalizeResult(raw) {
+  const out = { score: 5, pros: [], cons: [], confidence: 50, model: 'normalized' };
+  if (!raw || typeof raw !== 'object') return out;
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+  if (typeof raw.score === 'number') out.score = clamp(Math.round(raw.score), 1, 10);
+  if (typeof raw.confidence === 'number') out.confidence = clamp(Math.round(raw.confidence), 0, 100);
+  const limitList = (arr) => Array.isArray(arr) ? arr.filter(x => typeof x === 'string').slice(0, 6).map(s => s.slice(0, 60)) : [];
+  out.pros = limitList(raw.pros);
+  out.cons = limitList(raw.cons);
+  // Optional nutriments per 100 g (client computes Nutri-Score from these)
+  if (raw.nutriments && typeof raw.nutriments === 'object') {
+    const keys = ['energy_kj', 'energy_kcal', 'fat', 'saturated_fat', 'carbohydrates', 'sugars', 'fiber', 'proteins', 'salt', 'sodium', 'fruits_vegetables_nuts'];
+    const n = {};
+    for (const k of keys) if (typeof raw.nutriments[k] === 'number' && raw.nutriments[k] >= 0) n[k] = raw.nutriments[k];
+    if (Object.keys(n).length) out.nutriments = n;
+  }
+  if (typeof raw.model === 'string') out.model = raw.model.slice(0, 40);
+  return out;
+}
+
+// Attempt to extract JSON if model returns text with surrounding prose / code fences
+export function extractJSON(text) {
+  if (!text) return null;
+  try { return JSON.parse(text); } catch (_) {}
+  const match = text.match(/\{[\s\S]*\}/); // first object
+  if (match) {
+    try { return JSON.parse(match[0]); } catch (_) {}
+  }
+  return null;
+}
+
+const NUMBER_FIELD = (key) => new RegExp(`"${key}"\\s*:\\s*(-?\\d+(?:\\.\\d+)?)\\s*[,}\\s]`);
+const ARRAY_FIELD = (key) => new RegExp(`"${key}"\\s*:\\s*(\\[(?:[^\\[\\]"]|"(?:[^"\\\\]|\\\\.)*")*\\])`);
+
+/**
+ * Incremental field extraction for streamed replies. Feed the accumulated text;
+ * returns events for fields that became complete since the last call, in reply order:
+ * { type: 'score', score } | { type: 'pros', pros } | { type: 'cons', cons } | { type: 'confidence', confidence }
+ */
+export function createPartialParser() {
+  const seen = new Set();
+  return (text) => {
+    const events = [];
+    for (const key of ['score', 'pros', 'cons', 'confidence']) {
+      if (seen.has(key)) continue;
+      const numeric = key === 'score' || key === 'confidence';
+      const m = text.match(numeric ? NUMBER_FIELD(key) : ARRAY_FIELD(key));
+      if (!m) continue;
+      let value;
+      try { value = numeric ? Number(m[1]) : JSON.parse(m[1]); } catch (_) { continue; }
+      seen.add(key);
+      events.push({ type: key, [key]: normalizeResult({ [key]: value })[key] });
+    }
+    return events;
+  };
+}
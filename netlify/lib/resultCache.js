@@ -0,0 +1,12 @@
+// Per-instance cache of model results, shared with the client cache (src/resultCache.js).
+// The instance serves every client, so a near match on a client-sent perceptual hash could
+// hand one user's answer to another's frame; entries are keyed on the barcode or the
+// SHA-256 of the uploaded image bytes and only exact matches hit.
+
+import { createHash } from 'node:crypto';
+import { createResultCache as createCache } from '../../src/resultCache.js';
+
+export const imageDigest = (image) => (image && image.length ? createHash('sha256').update(image).digest('hex') : null);
+
+export const createResultCache = ({ ttlMs = 10 * 60 * 1000, maxEntries = 500 } = {}) =>
+  createCache({ ttlMs, maxEntries, maxDistance: 0 });
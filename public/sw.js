@@ -1,47 +0,0 @@
-const CACHE_NAME = 'phs-cache-v2';
-const APP_SHELL = [
-  '/',
-  '/index.html',
-  '/manifest.webmanifest',
-  '/offline.html'
-];
-
-self.addEventListener('install', (e) => {
-  e.waitUntil(
-    caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL))
-  );
-});
-
-self.addEventListener('activate', (e) => {
-  e.waitUntil(
-    caches.keys().then(keys => Promise.all(keys.filter(k=>k!==CACHE_NAME).map(k=>caches.delete(k))))
-  );
-});
-
-self.addEventListener('fetch', (e) => {
-  const { request } = e;
-  if (request.method !== 'GET') return;
-  // Navigation fallback
-  if (request.mode === 'navigate') {
-    e.respondWith(
-      fetch(request).catch(async () => {
-        const cache = await caches.open(CACHE_NAME);
-        const offline = await cache.match('/offline.html');
-        return offline || Response.error();
-      })
-    );
-    return;
-  }
-  e.respondWith(
-    caches.match(request).then(cached => {
-      if (cached) return cached;
-      return fetch(request).then(resp => {
-        const copy = resp.clone();
-        if (resp.ok && request.url.startsWith(self.location.origin)) {
-          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
-        }
-        return resp;
-      }).catch(()=>cached);
-    })
-  );
-});
@@ -0,0 +1,150 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { createBarcodeDecoder } from './barcodeDecoder.js';
+import { BATCH_COLUMNS, isImageFile, newRow, runBatch, sortRows, rowsToCsv, rowsToJson } from './batch.js';
+
+const TABLE_COLUMNS = BATCH_COLUMNS.filter(([key]) => !['format', 'apiModel', 'width', 'height'].includes(key));
+const PERCENT = ['confidence', 'apiConfidence'];
+const STATUS_LABEL = { queued: 'Queued', analyzing: 'Analyzing…', waiting: 'Waiting for API…', api: 'Calling API…', done: 'Done', error: 'Error' };
+
+const download = (text, type, name) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], { type }));
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
+// Bulk analysis of product photos with a sortable results table and CSV / JSON export.
+// initialFiles: files picked in the main upload input (multiple selection opens this view)
+export default function BatchView({ initialFiles, decoderOptions, analyzerOptions, apiInterval, apiAvailable, onClose }) {
+  const [files, setFiles] = useState(() => Array.from(initialFiles || []).filter(isImageFile));
+  const [rows, setRows] = useState(() => files.map((f, i) => newRow(f, i)));
+  const [useApi, setUseApi] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [waitMs, setWaitMs] = useState(0);
+  const [sort, setSort] = useState({ key: 'path', dir: 'asc' });
+  const abortRef = useRef(null);
+
+  const add = (list) => {
+    const images = Array.from(list || []).filter(isImageFile);
+    if (!images.length) return;
+    setFiles(prev => [...prev, ...images]);
+    setRows(prev => [...prev, ...images.map((f, i) => newRow(f, prev.length + i))]);
+  };
+
+  useEffect(() => () => abortRef.current && abortRef.current.abort(), []);
+
+  const start = async () => {
+    const pending = rows.filter(r => r.status === 'queued').map(r => r.id);
+    if (!pending.length) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    try {
+      await runBatch(pending.map(id => files[id]), {
+        decoder: createBarcodeDecoder(decoderOptions),
+        analyzerOptions,
+        apiInterval,
+        useApi: useApi && apiAvailable,
+        signal: controller.signal,
+        onUpdate: (i, patch) => setRows(prev => prev.map(r => (r.id === pending[i] ? { ...r, ...patch } : r))),
+        onWait: setWaitMs,
+      });
+    } finally {
+      // Cancelled mid-way: unanalyzed images go back in the queue, analyzed ones keep the heuristic result
+      setRows(prev => prev.map((r) => {
+        if (r.status === 'analyzing') return { ...r, status: 'queued' };
+        if (r.status === 'waiting' || r.status === 'api') return { ...r, status: 'done', error: 'API cancelled' };
+        return r;
+      }));
+      setWaitMs(0);
+      setRunning(false);
+      abortRef.current = null;
+    }
+  };
+
+  const cancel = () => abortRef.current && abortRef.current.abort();
+
+  const clear = () => {
+    setFiles([]);
+    setRows([]);
+  };
+
+  const sorted = useMemo(() => sortRows(rows, sort.key, sort.dir), [rows, sort]);
+  const results = rows.filter(r => r.status === 'done' || r.status === 'error'); // exported, failures included
+  const finished = results.length;
+  const toggleSort = (key) => setSort(s => ({ key, dir: s.key === key && s.dir === 'asc' ? 'desc' : 'asc' }));
+
+  return (
+    <div className="fixed inset-0 z-40 bg-slate-900/95 overflow-y-auto p-4">
+      <div className="max-w-5xl mx-auto space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-bold">Batch analysis</h2>
+          <button onClick={onClose} className="bg-white/10 px-3 py-1 rounded-md text-sm">Close</button>
+        </div>
+        <div className="flex flex-wrap items-center gap-3 text-xs">
+          <label className="flex items-center gap-1">Images
+            <input type="file" accept="image/*" multiple disabled={running} onChange={(e) => { add(e.target.files); e.target.value = ''; }} />
+          </label>
+          <label className="flex items-center gap-1">Folder
+            <input type="file" webkitdirectory="" directory="" multiple disabled={running} onChange={(e) => { add(e.target.files); e.target.value = ''; }} />
+          </label>
+          <label className="flex items-center gap-1" title={apiAvailable ? '' : 'Offline'}>
+            <input type="checkbox" checked={useApi && apiAvailable} disabled={!apiAvailable || running} onChange={(e) => setUseApi(e.target.checked)} />
+            Also send to /api/analyze
+          </label>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          {running ? (
+            <button onClick={cancel} className="bg-rose-700 px-3 py-1 rounded-md">Cancel</button>
+          ) : (
+            <button onClick={start} disabled={!rows.some(r => r.status === 'queued')} className="bg-indigo-600 disabled:opacity-40 px-3 py-1 rounded-md">Start</button>
+          )}
+          <button onClick={clear} disabled={running || !rows.length} className="bg-white/10 disabled:opacity-40 px-3 py-1 rounded-md">Clear</button>
+          <button onClick={() => download(rowsToCsv(sortRows(results, sort.key, sort.dir)), 'text/csv', `batch-${Date.now()}.csv`)} disabled={!results.length} className="bg-white/10 disabled:opacity-40 px-3 py-1 rounded-md">Export CSV</button>
+          <button onClick={() => download(rowsToJson(sortRows(results, sort.key, sort.dir)), 'application/json', `batch-${Date.now()}.json`)} disabled={!results.length} className="bg-white/10 disabled:opacity-40 px-3 py-1 rounded-md">Export JSON</button>
+          <span className="opacity-70 ml-auto">
+            {finished}/{rows.length} done{waitMs > 0 && ` · API wait ${Math.ceil(waitMs / 1000)}s`}
+          </span>
+        </div>
+        {rows.length > 0 && (
+          <div className="h-1 bg-white/10 rounded">
+            <div className="h-1 bg-indigo-500 rounded transition-all" style={{ width: `${(finished / rows.length) * 100}%` }} />
+          </div>
+        )}
+        {rows.length === 0 ? (
+          <div className="text-sm opacity-60">Choose images or a folder to analyze.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left">
+                  <th className="p-1" />
+                  {TABLE_COLUMNS.map(([key, label]) => (
+                    <th key={key} className="p-1" aria-sort={sort.key === key ? (sort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}>
+                      <button onClick={() => toggleSort(key)} className="font-semibold">
+                        {label}{sort.key === key ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : ''}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sorted.map(r => (
+                  <tr key={r.id} className="border-t border-white/10 align-middle">
+                    <td className="p-1">{r.thumbnail ? <img src={r.thumbnail} alt="" className="w-12 h-12 object-cover rounded" /> : <div className="w-12 h-12 bg-white/5 rounded" />}</td>
+                    {TABLE_COLUMNS.map(([key]) => (
+                      <td key={key} className={`p-1 ${key === 'path' ? 'max-w-[14rem] truncate' : ''}`} title={key === 'path' ? r.path : undefined}>
+                        {key === 'status' ? STATUS_LABEL[r.status] : r[key] == null || r[key] === '' ? '—' : PERCENT.includes(key) ? `${r[key]}%` : String(r[key])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React from 'react';
+import { RESOLUTIONS } from './cameraSettings.js';
+import { STATUS_LABELS, calibrationStatus } from './whiteBalance.js';
+
+// Camera picker and track controls; only what the running track supports is shown.
+// whiteBalance: { gains, ts } for the running camera or null; onCalibrate starts the card flow.
+export default function CameraPanel({ cameras, settings, caps, onChange, whiteBalance, onCalibrate, onClearCalibration }) {
+  const set = (patch) => onChange({ ...settings, ...patch });
+
+  return (
+    <div className="bg-white/10 p-4 rounded-lg text-xs space-y-3">
+      <label className="flex items-center justify-between gap-2">
+        <span className="opacity-80">Camera</span>
+        <select value={settings.deviceId} onChange={(e) => set({ deviceId: e.target.value, zoom: null })} className="bg-black/30 rounded px-1 py-0.5 max-w-[60%]">
+          <option value="">Rear camera (default)</option>
+          {cameras.map(c => <option key={c.deviceId} value={c.deviceId}>{c.label}</option>)}
+        </select>
+      </label>
+      <label className="flex items-center justify-between gap-2">
+        <span className="opacity-80">Resolution</span>
+        <select value={settings.resolution} onChange={(e) => set({ resolution: e.target.value })} className="bg-black/30 rounded px-1 py-0.5">
+          {Object.keys(RESOLUTIONS).map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+      </label>
+      {caps && caps.width > 0 && <div className="opacity-60">Capturing at {caps.width}×{caps.height}</div>}
+      {caps && caps.torch && (
+        <button
+          type="button"
+          aria-pressed={settings.torch}
+          onClick={() => set({ torch: !settings.torch })}
+          className={`px-3 py-1 rounded-md ${settings.torch ? 'bg-amber-500 text-black' : 'bg-white/10'}`}
+        >
+          {settings.torch ? 'Torch: On' : 'Torch: Off'}
+        </button>
+      )}
+      {caps && caps.zoom && (
+        <label className="flex items-center gap-2">
+          <span className="opacity-80">Zoom</span>
+          <input
+            type="range"
+            min={caps.zoom.min}
+            max={caps.zoom.max}
+            step={caps.zoom.step}
+            value={settings.zoom ?? caps.zoom.min}
+            onChange={(e) => set({ zoom: Number(e.target.value) })}
+            className="flex-1"
+          />
+          <span className="w-10 text-right">{(settings.zoom ?? caps.zoom.min).toFixed(1)}×</span>
+        </label>
+      )}
+      {caps && (
+        <div className="opacity-60">
+          {caps.focus ? 'Tap the video to focus there.' : 'Tap-to-focus is not supported by this camera.'}
+          {!caps.torch && ' No torch.'}
+          {!caps.zoom && ' No zoom.'}
+        </div>
+      )}
+      <div className="space-y-1">
+        <div className="flex items-center justify-between gap-2">
+          <span className="opacity-80">White balance</span>
+          <span className={calibrationStatus(whiteBalance) === 'ok' ? 'text-emerald-300' : 'text-amber-300'}>{STATUS_LABELS[calibrationStatus(whiteBalance)]}</span>
+        </div>
+        {whiteBalance && (
+          <div className="opacity-60">
+            R×{whiteBalance.gains.r.toFixed(2)} G×{whiteBalance.gains.g.toFixed(2)} B×{whiteBalance.gains.b.toFixed(2)} · {new Date(whiteBalance.ts).toLocaleString()}
+          </div>
+        )}
+        <div className="flex gap-2">
+          <button type="button" onClick={onCalibrate} disabled={!caps} className="bg-white/10 disabled:opacity-40 px-3 py-1 rounded-md">
+            {whiteBalance ? 'Recalibrate' : 'Calibrate with a white card'}
+          </button>
+          {whiteBalance && <button type="button" onClick={onClearCalibration} className="bg-white/10 px-3 py-1 rounded-md">Clear</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
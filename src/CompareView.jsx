@@ -0,0 +1,62 @@
+import React, { useMemo } from 'react';
+import { compareSlots, pickWinner, summarize } from './compare.js';
+
+export default function CompareView({ slots, onRemove, onClear, onClose, onSpeak }) {
+  const rows = useMemo(() => compareSlots(slots), [slots]);
+  const winner = pickWinner(slots);
+  const summary = summarize(slots);
+
+  return (
+    <div className="fixed inset-0 z-40 bg-slate-900/95 overflow-y-auto p-4">
+      <div className="max-w-5xl mx-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold">Compare</h2>
+          <div className="flex gap-2">
+            {summary && <button onClick={() => onSpeak(summary)} className="bg-white/10 px-3 py-1 rounded-md text-sm">Speak summary</button>}
+            <button onClick={onClear} disabled={!slots.length} className="bg-rose-700 disabled:opacity-40 px-3 py-1 rounded-md text-sm">Clear</button>
+            <button onClick={onClose} className="bg-white/10 px-3 py-1 rounded-md text-sm">Close</button>
+          </div>
+        </div>
+        {slots.length < 2 && <div className="text-sm opacity-70 mb-4">Pin at least two results to compare them.</div>}
+        {summary && <div className="text-sm text-emerald-300 mb-4" aria-live="polite">{summary}</div>}
+        {slots.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs border-collapse">
+              <thead>
+                <tr>
+                  <th />
+                  {slots.map(s => (
+                    <th key={s.id} className={`p-2 align-top text-left ${winner === s ? 'bg-emerald-900/40' : ''}`}>
+                      {s.thumbnail && <img src={s.thumbnail} alt="" className="w-20 h-20 object-cover rounded mb-1" />}
+                      <div className="font-semibold">{s.label}</div>
+                      {s.barcode && <div className="opacity-60">{s.barcode}</div>}
+                      <button onClick={() => onRemove(s.id)} className="mt-1 bg-white/10 px-2 py-0.5 rounded">Unpin</button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r => (
+                  <tr key={r.key} className="border-t border-white/10">
+                    <td className="p-2 opacity-70">{r.label}</td>
+                    {r.cells.map((c, i) => (
+                      <td key={slots[i].id} className={`p-2 ${r.best.includes(i) ? 'text-emerald-300 font-semibold' : ''}`}>{c}</td>
+                    ))}
+                  </tr>
+                ))}
+                <tr className="border-t border-white/10 align-top">
+                  <td className="p-2 opacity-70">Pros</td>
+                  {slots.map(s => <td key={s.id} className="p-2"><ul className="space-y-0.5">{s.pros.slice(0, 4).map((p, i) => <li key={i}>✅ {p}</li>)}</ul></td>)}
+                </tr>
+                <tr className="border-t border-white/10 align-top">
+                  <td className="p-2 opacity-70">Cons</td>
+                  {slots.map(s => <td key={s.id} className="p-2"><ul className="space-y-0.5">{s.cons.slice(0, 4).map((c, i) => <li key={i}>⚠️ {c}</li>)}</ul></td>)}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { listScans, deleteScan, clearScans, filterScans } from './historyStore.js';
+
+const fmtDate = (ts) => new Date(ts).toLocaleString();
+
+function ScanDetail({ scan, onBack, onDelete }) {
+  return (
+    <div className="space-y-3 text-sm">
+      <button onClick={onBack} className="bg-white/10 px-3 py-1 rounded-md text-xs">← Back</button>
+      <div className="flex gap-4 items-start">
+        {scan.thumbnail && <img src={scan.thumbnail} alt="" className="w-40 rounded-lg" />}
+        <div>
+          <div className="text-4xl font-bold">{scan.score}<span className="text-base opacity-60">/10</span></div>
+          {scan.grade && <div className="text-xs">Nutri-Score {scan.grade}</div>}
+          <div className="text-xs opacity-80">Confidence {scan.confidence}%</div>
+          <div className="text-xs opacity-80">{fmtDate(scan.ts)}</div>
+          {scan.name && <div className="font-semibold mt-1">{scan.name}</div>}
+          {scan.barcode && <div className="text-xs text-emerald-300">Barcode: {scan.barcode}</div>}
+          {scan.model && <div className="text-xs opacity-60">Model: {scan.model}</div>}
+          {scan.pendingAnalysis && <div className="text-xs text-amber-300">Awaiting model analysis (queued offline)</div>}
+          {scan.enrichment && scan.heuristicScore != null && (
+            <div className="text-xs opacity-60">Model result merged {fmtDate(scan.enrichment.ts)} • heuristic was {scan.heuristicScore}/10</div>
+          )}
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-4 text-xs">
+        <ul className="space-y-1">{scan.pros.map((p, i) => <li key={i}>✅ {p}</li>)}</ul>
+        <ul className="space-y-1">{scan.cons.map((c, i) => <li key={i}>⚠️ {c}</li>)}</ul>
+      </div>
+      <button onClick={() => onDelete(scan.id)} className="bg-rose-700 px-3 py-1 rounded-md text-xs">Delete</button>
+    </div>
+  );
+}
+
+export default function HistoryView({ onClose }) {
+  const [scans, setScans] = useState([]);
+  const [error, setError] = useState('');
+  const [filters, setFilters] = useState({ query: '', minScore: 1, maxScore: 10, from: '', to: '' });
+  const [selectedId, setSelectedId] = useState(null);
+
+  const reload = () => listScans().then(setScans).catch(e => setError(e.message || 'History unavailable'));
+  useEffect(() => { reload(); }, []);
+
+  const visible = useMemo(() => filterScans(scans, filters), [scans, filters]);
+  const selected = scans.find(s => s.id === selectedId);
+  const set = (k) => (e) => setFilters(f => ({ ...f, [k]: e.target.type === 'number' ? Number(e.target.value) : e.target.value }));
+
+  const remove = async (id) => {
+    try {
+      await deleteScan(id);
+    } catch (err) {
+      console.warn('history delete failed', err);
+      setError(err.message || 'Delete failed');
+      return;
+    }
+    setError('');
+    setSelectedId(null);
+    reload();
+  };
+
+  const clearAll = async () => {
+    if (!window.confirm('Delete all saved scans?')) return;
+    try {
+      await clearScans();
+    } catch (err) {
+      console.warn('history clear failed', err);
+      setError(err.message || 'Clear failed');
+      return;
+    }
+    setError('');
+    reload();
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 bg-slate-900/95 overflow-y-auto p-4">
+      <div className="max-w-3xl mx-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold">History</h2>
+          <button onClick={onClose} className="bg-white/10 px-3 py-1 rounded-md text-sm">Close</button>
+        </div>
+        {error && <div className="text-red-400 text-sm mb-2">{error}</div>}
+        {selected ? (
+          <ScanDetail scan={selected} onBack={() => setSelectedId(null)} onDelete={remove} />
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2 items-end text-xs mb-4">
+              <label className="flex flex-col">Search
+                <input value={filters.query} onChange={set('query')} placeholder="Barcode or name" className="bg-black/30 rounded px-2 py-1" />
+              </label>
+              <label className="flex flex-col">Min score
+                <input type="number" min="1" max="10" value={filters.minScore} onChange={set('minScore')} className="w-16 bg-black/30 rounded px-2 py-1" />
+              </label>
+              <label className="flex flex-col">Max score
+                <input type="number" min="1" max="10" value={filters.maxScore} onChange={set('maxScore')} className="w-16 bg-black/30 rounded px-2 py-1" />
+              </label>
+              <label className="flex flex-col">From
+                <input type="date" value={filters.from} onChange={set('from')} className="bg-black/30 rounded px-2 py-1" />
+              </label>
+              <label className="flex flex-col">To
+                <input type="date" value={filters.to} onChange={set('to')} className="bg-black/30 rounded px-2 py-1" />
+              </label>
+              <button onClick={clearAll} disabled={!scans.length} className="ml-auto bg-rose-700 disabled:opacity-40 px-3 py-1 rounded-md">Clear all</button>
+            </div>
+            <div className="text-xs opacity-60 mb-2">{visible.length} of {scans.length} scans</div>
+            <ul className="space-y-2">
+              {visible.map(s => (
+                <li key={s.id}>
+                  <button onClick={() => setSelectedId(s.id)} className="w-full flex items-center gap-3 bg-white/5 hover:bg-white/10 rounded-lg p-2 text-left">
+                    {s.thumbnail ? <img src={s.thumbnail} alt="" className="w-14 h-14 object-cover rounded" /> : <div className="w-14 h-14 bg-black/30 rounded" />}
+                    <div className="text-2xl font-bold w-10 text-center">{s.score}</div>
+                    <div className="flex-1 min-w-0 text-xs">
+                      <div className="font-semibold truncate">{s.name || s.barcode || 'Unlabelled scan'}</div>
+                      <div className="opacity-60">{fmtDate(s.ts)} • {s.confidence}%{s.pendingAnalysis ? ' • queued' : ''}</div>
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
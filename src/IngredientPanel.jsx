@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react';
+
+const CONCERN_STYLE = { high: 'bg-rose-700', moderate: 'bg-amber-700', low: 'bg-white/10' };
+
+// Result of an ingredient OCR read; the recognized text can be corrected and re-checked.
+// status: '' | 'loading' | 'reading' | 'done' | 'error', or 'busy' while OCR runs for another panel
+export default function IngredientPanel({ status, progress, read, onRead, onRecheck, onClear }) {
+  const [text, setText] = useState(read ? read.text : '');
+  useEffect(() => { setText(read ? read.text : ''); }, [read]);
+
+  const busy = status === 'loading' || status === 'reading' || status === 'busy';
+  const analysis = read && read.analysis;
+
+  return (
+    <div className="bg-white/10 p-4 rounded-lg text-xs space-y-2">
+      <div className="flex items-center gap-2">
+        <button onClick={onRead} disabled={busy} className="bg-indigo-600 disabled:opacity-40 px-3 py-1 rounded-md">
+          {status === 'busy' ? 'OCR busy…' : busy ? `${status === 'loading' ? 'Loading OCR' : 'Reading'}… ${Math.round(progress * 100)}%` : 'Capture ingredient list'}
+        </button>
+        {read && <button onClick={onClear} className="bg-white/10 px-3 py-1 rounded-md">Clear</button>}
+      </div>
+      <div className="opacity-60">Frame the ingredient list (set a region on the video for best results). Text is read on this device.</div>
+      {status === 'error' && <div className="text-red-400">Could not read text — try again with steadier framing.</div>}
+      {read && (
+        <>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={4}
+            className="w-full bg-black/30 rounded p-2"
+            aria-label="Recognized ingredient text"
+          />
+          <div className="flex items-center gap-2">
+            <button onClick={() => onRecheck(text)} disabled={text === read.text} className="bg-white/10 disabled:opacity-40 px-3 py-1 rounded-md">Re-check edited text</button>
+            {read.confidence != null && <span className="opacity-60">OCR confidence {read.confidence}%</span>}
+          </div>
+          {analysis.ingredients.length === 0 && <div className="text-amber-300">No ingredients recognized.</div>}
+          {analysis.ingredients.length > 0 && (
+            <div><span className="opacity-60">{analysis.ingredients.length} ingredients: </span>{analysis.ingredients.join(', ')}</div>
+          )}
+          {analysis.additives.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {analysis.additives.map(a => (
+                <span key={a.code} className={`px-2 py-0.5 rounded ${CONCERN_STYLE[a.concern]}`} title={`${a.concern} concern`}>
+                  {a.code}{a.name ? ` ${a.name}` : ''}
+                </span>
+              ))}
+            </div>
+          )}
+          {analysis.penalty > 0 && <div className="text-rose-300">Score −{analysis.penalty} from ingredients</div>}
+        </>
+      )}
+    </div>
+  );
+}
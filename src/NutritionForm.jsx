@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from 'react';
+import { NUTRISCORE_KINDS } from './nutriscore.js';
+
+// Manual nutrition entry (per 100 g / 100 ml); empty fields are left unknown
+export const NUTRITION_FIELDS = [
+  ['energy_kj', 'Energy', 'kJ'],
+  ['energy_kcal', 'Energy', 'kcal'],
+  ['fat', 'Fat', 'g'],
+  ['saturated_fat', 'Saturated fat', 'g'],
+  ['sugars', 'Sugars', 'g'],
+  ['fiber', 'Fibre', 'g'],
+  ['proteins', 'Protein', 'g'],
+  ['salt', 'Salt', 'g'],
+  ['sodium', 'Sodium', 'g'],
+  ['fruits_vegetables_nuts', 'Fruit / veg / nuts', '%'],
+];
+
+const toStrings = (n = {}) => Object.fromEntries(NUTRITION_FIELDS.map(([k]) => [k, n[k] !== undefined ? String(n[k]) : '']));
+
+export default function NutritionForm({ initial, initialKind = 'food', title = 'Nutrition per 100 g', onApply, onClear }) {
+  const [values, setValues] = useState(() => toStrings(initial));
+  const [kind, setKind] = useState(initialKind);
+
+  useEffect(() => { setValues(toStrings(initial)); }, [initial]);
+  useEffect(() => { setKind(initialKind); }, [initialKind]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const nutriments = {};
+    for (const [k] of NUTRITION_FIELDS) {
+      const v = parseFloat(String(values[k]).replace(',', '.'));
+      if (values[k] !== '' && Number.isFinite(v) && v >= 0) nutriments[k] = v;
+    }
+    onApply({ nutriments, kind });
+  };
+
+  return (
+    <form onSubmit={submit} className="bg-white/10 p-4 rounded-lg text-xs">
+      <div className="text-sm font-semibold mb-2">{title}</div>
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        {NUTRITION_FIELDS.map(([k, label, unit]) => (
+          <label key={k} className="flex items-center justify-between gap-2">
+            <span className="opacity-80">{label} ({unit})</span>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={values[k]}
+              onChange={(e) => setValues(v => ({ ...v, [k]: e.target.value }))}
+              className="w-20 bg-black/30 rounded px-2 py-0.5 text-right"
+            />
+          </label>
+        ))}
+        <label className="flex items-center justify-between gap-2">
+          <span className="opacity-80">Type</span>
+          <select value={kind} onChange={(e) => setKind(e.target.value)} className="w-20 bg-black/30 rounded px-1 py-0.5">
+            {NUTRISCORE_KINDS.map(k => <option key={k} value={k}>{k}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="flex gap-2">
+        <button type="submit" className="bg-indigo-600 px-3 py-1 rounded-md">Score</button>
+        {onClear && <button type="button" onClick={onClear} className="bg-white/10 px-3 py-1 rounded-md">Clear</button>}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,39 @@
+import React from 'react';
+import { ALLERGENS, DIETS } from './dietProfile.js';
+
+// Allergen / diet toggles; every change is persisted by the parent
+export default function ProfilePanel({ profile, onChange }) {
+  const toggle = (field, key) => {
+    const set = new Set(profile[field]);
+    if (set.has(key)) set.delete(key); else set.add(key);
+    onChange({ ...profile, [field]: [...set] });
+  };
+
+  const chip = (field, key, label) => {
+    const on = profile[field].includes(key);
+    return (
+      <button
+        key={key}
+        type="button"
+        aria-pressed={on}
+        onClick={() => toggle(field, key)}
+        className={`px-2 py-0.5 rounded-md ${on ? 'bg-rose-600' : 'bg-white/10'}`}
+      >
+        {label}
+      </button>
+    );
+  };
+
+  return (
+    <div className="bg-white/10 p-4 rounded-lg text-xs space-y-3">
+      <div>
+        <div className="text-sm font-semibold mb-1">Avoid (allergens)</div>
+        <div className="flex flex-wrap gap-2">{Object.entries(ALLERGENS).map(([k, [label]]) => chip('allergens', k, label))}</div>
+      </div>
+      <div>
+        <div className="text-sm font-semibold mb-1">Diets</div>
+        <div className="flex flex-wrap gap-2">{Object.entries(DIETS).map(([k, [label]]) => chip('diets', k, label))}</div>
+      </div>
+    </div>
+  );
+}
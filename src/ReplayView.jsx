@@ -0,0 +1,106 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+const LIGHTING_COLOR = { OK: '#10b981', 'Too Dark': '#6366f1', 'Too Bright': '#f59e0b', 'Low Texture': '#f43f5e' };
+const W = 600;
+const H = 120;
+
+// Score (1..10) and confidence (0..1) lines over frame index, with a lighting band underneath
+function Timeline({ timeline, index, onSelect }) {
+  const x = (i) => (timeline.length > 1 ? (i / (timeline.length - 1)) * W : W / 2);
+  const yScore = (s) => H - 14 - ((s - 1) / 9) * (H - 24);
+  const yConf = (c) => H - 14 - c * (H - 24);
+  const line = (pick) => timeline.map((f, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${pick(f).toFixed(1)}`).join('');
+  const band = W / Math.max(1, timeline.length);
+
+  const pick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = (e.clientX - rect.left) / rect.width;
+    onSelect(Math.round(ratio * (timeline.length - 1)));
+  };
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full bg-black/30 rounded cursor-pointer" onClick={pick} role="img" aria-label="Score, confidence and lighting per frame">
+      {timeline.map((f, i) => (
+        <rect key={i} x={i * band} y={H - 8} width={band + 0.5} height={8} fill={LIGHTING_COLOR[f.lightingState] || '#64748b'} />
+      ))}
+      <path d={line(f => yConf(f.conf))} fill="none" stroke="#94a3b8" strokeWidth="1" strokeDasharray="3 2" />
+      <path d={line(f => yScore(f.target))} fill="none" stroke="#fbbf24" strokeWidth="1" opacity="0.6" />
+      <path d={line(f => yScore(f.score))} fill="none" stroke="#34d399" strokeWidth="2" />
+      <line x1={x(index)} x2={x(index)} y1={0} y2={H} stroke="white" strokeWidth="1" />
+    </svg>
+  );
+}
+
+// Frame-by-frame view of a replayed session recording
+export default function ReplayView({ name, recording, timeline, onClose }) {
+  const [index, setIndex] = useState(0);
+  const canvasRef = useRef(null);
+  const frame = recording.frames[index];
+  const entry = timeline[index];
+  const jumps = timeline.filter((f, i) => i && f.score !== timeline[i - 1].score).length;
+  const scores = timeline.map(f => f.score);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !frame) return;
+    const { data, width, height } = frame.imageData;
+    canvas.width = width; canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+  }, [frame]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'ArrowLeft') setIndex(i => Math.max(0, i - 1));
+      if (e.key === 'ArrowRight') setIndex(i => Math.min(timeline.length - 1, i + 1));
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [timeline.length]);
+
+  return (
+    <div className="fixed inset-0 z-40 bg-slate-900/95 overflow-y-auto p-4">
+      <div className="max-w-3xl mx-auto space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-bold">Replay</h2>
+          <button onClick={onClose} className="bg-white/10 px-3 py-1 rounded-md text-sm">Close</button>
+        </div>
+        <div className="text-xs opacity-80">
+          {name} · {timeline.length} frames over {((timeline[timeline.length - 1]?.t || 0) / 1000).toFixed(1)} s
+          {timeline.length > 0 && ` · score ${Math.min(...scores)}–${Math.max(...scores)}, ${jumps} change${jumps === 1 ? '' : 's'}`}
+          {recording.createdAt && ` · recorded ${new Date(recording.createdAt).toLocaleString()}`}
+        </div>
+        {timeline.length === 0 ? (
+          <div className="text-sm opacity-60">This recording has no frames.</div>
+        ) : (
+          <>
+            <Timeline timeline={timeline} index={index} onSelect={setIndex} />
+            <div className="flex flex-wrap gap-3 text-[10px] opacity-70">
+              <span className="text-emerald-300">— shown score</span>
+              <span className="text-amber-300">— target score</span>
+              <span>- - confidence</span>
+              {Object.entries(LIGHTING_COLOR).map(([k, c]) => <span key={k} style={{ color: c }}>■ {k}</span>)}
+            </div>
+            <div className="flex items-center gap-2 text-xs">
+              <button onClick={() => setIndex(i => Math.max(0, i - 1))} disabled={index === 0} className="bg-white/10 disabled:opacity-40 px-2 py-1 rounded-md">◀</button>
+              <input type="range" min={0} max={timeline.length - 1} value={index} onChange={(e) => setIndex(Number(e.target.value))} className="flex-1" aria-label="Frame" />
+              <button onClick={() => setIndex(i => Math.min(timeline.length - 1, i + 1))} disabled={index === timeline.length - 1} className="bg-white/10 disabled:opacity-40 px-2 py-1 rounded-md">▶</button>
+              <span className="w-20 text-right">{index + 1}/{timeline.length}</span>
+            </div>
+            <div className="flex gap-4 items-start">
+              <canvas ref={canvasRef} className="w-48 rounded-lg bg-black" />
+              <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+                <dt className="opacity-60">Time</dt><dd>{(entry.t / 1000).toFixed(2)} s</dd>
+                <dt className="opacity-60">Analyzer score</dt><dd>{entry.mappedScore}</dd>
+                <dt className="opacity-60">After penalties</dt><dd>{entry.target}</dd>
+                <dt className="opacity-60">Shown score</dt><dd className="font-bold">{entry.score}</dd>
+                <dt className="opacity-60">Confidence</dt><dd>{Math.round(entry.conf * 100)}%</dd>
+                <dt className="opacity-60">Lighting</dt><dd>{entry.lightingState}</dd>
+                {entry.warnings.length > 0 && (<><dt className="opacity-60">Warnings</dt><dd>{entry.warnings.join(', ')}</dd></>)}
+              </dl>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React from 'react';
+import { BARCODE_FORMATS, productCodeOf } from './barcodeDecoder.js';
+import { DUPLICATE_WINDOWS } from './scanner.js';
+
+// Scanner symbologies, duplicate window and feedback, plus the codes seen this session.
+// Codes that carry a GTIN can be clicked to look the product up.
+export default function ScannerPanel({ settings, onChange, recent, onPick, onClearRecent }) {
+  const set = (patch) => onChange({ ...settings, ...patch });
+  const toggleFormat = (f) => {
+    const formats = settings.formats.includes(f) ? settings.formats.filter(x => x !== f) : [...settings.formats, f];
+    if (formats.length) set({ formats });
+  };
+
+  return (
+    <div className="bg-white/10 p-4 rounded-lg text-xs space-y-3">
+      <fieldset className="flex flex-wrap gap-x-3 gap-y-1">
+        <legend className="opacity-80 mb-1">Formats</legend>
+        {Object.entries(BARCODE_FORMATS).map(([f, label]) => (
+          <label key={f} className="flex items-center gap-1">
+            <input type="checkbox" checked={settings.formats.includes(f)} onChange={() => toggleFormat(f)} />
+            {label}
+          </label>
+        ))}
+      </fieldset>
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={settings.tryHarder} onChange={(e) => set({ tryHarder: e.target.checked })} />
+        <span>Try harder in scanner mode (slower, finds damaged or small codes)</span>
+      </label>
+      <label className="flex items-center justify-between gap-2">
+        <span className="opacity-80">Ignore repeats for</span>
+        <select value={settings.windowMs} onChange={(e) => set({ windowMs: Number(e.target.value) })} className="bg-black/30 rounded px-1 py-0.5">
+          {DUPLICATE_WINDOWS.map(ms => <option key={ms} value={ms}>{ms / 1000} s</option>)}
+        </select>
+      </label>
+      <div className="flex flex-wrap gap-3">
+        {[['beep', 'Beep'], ['vibrate', 'Vibrate'], ['speak', 'Speak']].map(([key, label]) => (
+          <label key={key} className="flex items-center gap-1">
+            <input type="checkbox" checked={settings[key]} onChange={(e) => set({ [key]: e.target.checked })} />
+            {label}
+          </label>
+        ))}
+      </div>
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <span className="opacity-80">Recent codes</span>
+          {recent.length > 0 && <button onClick={onClearRecent} className="bg-white/10 px-2 py-0.5 rounded">Clear</button>}
+        </div>
+        {recent.length === 0 && <div className="opacity-60">No codes seen yet.</div>}
+        <ul className="space-y-1">
+          {recent.map(r => {
+            const gtin = productCodeOf(r);
+            return (
+              <li key={`${r.format}:${r.text}`} className="flex items-center gap-2">
+                <span className="opacity-60 w-16 shrink-0">{BARCODE_FORMATS[r.format] || r.format}</span>
+                {gtin ? (
+                  <button onClick={() => onPick(gtin)} className="underline truncate text-left" title="Look up this product">{r.text}</button>
+                ) : (
+                  <span className="truncate" title={r.text}>{r.text}</span>
+                )}
+                <span className="opacity-60 ml-auto shrink-0">×{r.count} · {new Date(r.lastSeen).toLocaleTimeString()}</span>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from 'react';
+import { SETTING_FIELDS, PRESETS, defaultSettings, validateSettings } from './settings.js';
+import { listScorers } from './scorers.js';
+
+const GROUPS = [...new Set(Object.values(SETTING_FIELDS).map(f => f.group))];
+
+const toDraft = (settings) => Object.fromEntries(Object.keys(SETTING_FIELDS).map(k => [k, String(settings[k])]));
+
+// Presets plus per-constant fields; a field only applies once the whole form is valid
+export default function SettingsPanel({ settings, onChange }) {
+  const [draft, setDraft] = useState(() => toDraft(settings));
+  const [errors, setErrors] = useState({});
+  // Keep what's being typed ("0.00…") unless the settings changed elsewhere (preset, reset)
+  useEffect(() => {
+    if (Object.keys(SETTING_FIELDS).every(k => Number(draft[k]) === settings[k])) return;
+    setDraft(toDraft(settings));
+    setErrors({});
+  }, [settings]);
+
+  const edit = (key, text) => {
+    const next = { ...draft, [key]: text };
+    setDraft(next);
+    const values = Object.fromEntries(Object.entries(next).map(([k, v]) => [k, v.trim() === '' ? NaN : Number(v)]));
+    const result = validateSettings({ ...values, scorer: settings.scorer });
+    setErrors(result.errors);
+    if (!Object.keys(result.errors).length) onChange(result.settings);
+  };
+
+  const scorers = listScorers();
+  const scorer = scorers.find(s => s.id === settings.scorer);
+
+  return (
+    <div className="bg-white/10 p-4 rounded-lg text-xs space-y-3">
+      <label className="flex items-center justify-between gap-2">
+        <span className="opacity-80">Scoring method</span>
+        <select value={settings.scorer} onChange={(e) => onChange({ ...settings, scorer: e.target.value })} className="bg-black/30 rounded px-1 py-0.5 max-w-[60%]">
+          {scorers.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+      </label>
+      {scorer && <div className="opacity-60 -mt-2">{scorer.description}</div>}
+      <div className="flex flex-wrap items-center gap-2">
+        {Object.entries(PRESETS).map(([name, p]) => (
+          <button
+            key={name}
+            type="button"
+            aria-pressed={settings.preset === name}
+            onClick={() => onChange({ ...p.values, scorer: settings.scorer, preset: name })}
+            className={`px-3 py-1 rounded-md ${settings.preset === name ? 'bg-indigo-600' : 'bg-white/10'}`}
+          >
+            {p.label}
+          </button>
+        ))}
+        {settings.preset === 'custom' && <span className="opacity-60">Custom</span>}
+        <button type="button" onClick={() => onChange(defaultSettings())} className="ml-auto bg-white/10 px-3 py-1 rounded-md">Reset to defaults</button>
+      </div>
+      <details>
+        <summary className="cursor-pointer opacity-80">Advanced</summary>
+        <div className="mt-2 space-y-3">
+          {GROUPS.map(group => (
+            <fieldset key={group} className="space-y-1">
+              <legend className="font-semibold mb-1">{group}</legend>
+              {Object.entries(SETTING_FIELDS).filter(([, f]) => f.group === group).map(([key, f]) => (
+                <label key={key} className="flex items-center justify-between gap-2">
+                  <span className="opacity-80">{f.label}{f.unit ? ` (${f.unit})` : ''}</span>
+                  <span className="flex flex-col items-end">
+                    <input
+                      type="number"
+                      min={f.min}
+                      max={f.max}
+                      step={f.step}
+                      value={draft[key]}
+                      onChange={(e) => edit(key, e.target.value)}
+                      aria-invalid={!!errors[key]}
+                      className={`w-24 bg-black/30 rounded px-1 py-0.5 text-right ${errors[key] ? 'ring-1 ring-rose-500' : ''}`}
+                    />
+                    {errors[key] && <span className="text-rose-300">{errors[key]}</span>}
+                  </span>
+                </label>
+              ))}
+            </fieldset>
+          ))}
+          <div className="opacity-60">Changes apply to the running scanner immediately.</div>
+        </div>
+      </details>
+    </div>
+  );
+}
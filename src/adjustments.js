@@ -0,0 +1,12 @@
+// Profile / ingredient adjustments on a score. Dependency-free: the page and the service
+// worker (src/sw.js, for queued scans) both import it.
+
+/**
+ * Apply combined profile / ingredient adjustments { penalty, pros, cons } to a result:
+ * the extra pros and cons lead their lists, the penalty comes off the score (floor 1).
+ */
+export const applyAdjustments = (adj, score, pros, cons) => ({
+  score: adj.penalty ? Math.max(1, score - adj.penalty) : score,
+  pros: [...new Set([...adj.pros, ...pros])],
+  cons: [...new Set([...adj.cons, ...cons])],
+});
@@ -0,0 +1,145 @@
+// Frame analyzer shared by the main thread (uploads, fallback) and the frame worker.
+// Holds the rolling histories that stabilize the score between frames; the per-frame
+// score itself comes from a pluggable scorer (src/scorers.js).
+
+import { getScorer } from './scorers.js';
+
+// Helper: map 0..1 to 1..10
+export const greenToScore = (g) => {
+  const s = Math.round(Math.min(1, Math.max(0, g)) * 9) + 1; // 1..10
+  return s;
+};
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v || 0));
+
+// Robust median utility
+export const median = (arr) => {
+  if (!arr.length) return 0;
+  const s = [...arr].sort((a,b)=>a-b);
+  return s[Math.floor(s.length/2)];
+};
+
+// Trimmed mean utility (exclude extremes for stability)
+export const trimmedMean = (arr, trim=0.1) => {
+  if (!arr.length) return 0;
+  const s = [...arr].sort((a,b)=>a-b);
+  const k = Math.floor(s.length * trim);
+  const trimmed = s.slice(k, s.length - k || undefined);
+  return trimmed.reduce((a,c)=>a+c,0)/trimmed.length;
+};
+
+// Score shown after a frame: only changes of at least `hysteresis` points replace the previous one
+export const settleScore = (prev, target, hysteresis = 1) => (prev === null || Math.abs(target - prev) >= hysteresis ? target : prev);
+
+// Window lengths and lighting thresholds; user-tunable through src/settings.js
+export const ANALYZER_DEFAULTS = {
+  historyLength: 25, // raw scores
+  statsLength: 30, // brightness and variance
+  darkThreshold: 0.12, // mean luminance below -> Too Dark
+  brightThreshold: 0.85, // mean luminance above -> Too Bright
+  textureThreshold: 0.002, // luminance variance below -> Low Texture
+};
+
+const NEUTRAL_GAINS = { r: 1, g: 1, b: 1 };
+
+// Most frequent entry (ties go to the latest)
+const mode = (arr) => {
+  const counts = new Map();
+  let best = null, bestCount = 0;
+  for (let i = arr.length - 1; i >= 0; i--) {
+    const c = (counts.get(arr[i]) || 0) + 1;
+    counts.set(arr[i], c);
+    if (c > bestCount) { best = arr[i]; bestCount = c; }
+  }
+  return best;
+};
+
+// options: ANALYZER_DEFAULTS keys, plus gains { r, g, b } from white-balance calibration
+// (src/whiteBalance.js) applied before scoring, and scorer (registry id, default 'green')
+export function createAnalyzer(options = {}) {
+  let opts = { ...ANALYZER_DEFAULTS, ...options };
+  const state = { history: [], brightness: [], variance: [], categories: [] };
+
+  const analyzeImageData = (imageData) => {
+    const { data, width, height } = imageData;
+    if (!width || !height) return null;
+    let rSum=0,gSum=0,bSum=0,count=0;
+    const stepPix = 4 * 4;
+    for (let i=0;i<data.length;i+=stepPix){
+      rSum+=data[i]; gSum+=data[i+1]; bSum+=data[i+2]; count++;}
+    const gains = opts.gains || NEUTRAL_GAINS;
+    const rAvg = Math.min(1, rSum/count/255*gains.r); const gAvg = Math.min(1, gSum/count/255*gains.g); const bAvg = Math.min(1, bSum/count/255*gains.b);
+    const luminance = 0.2126*rAvg + 0.7152*gAvg + 0.0722*bAvg;
+    // variance sample
+    let lSum=0,lSq=0,n=0;
+    for (let i=0;i<data.length;i+=stepPix*12){
+      const r=data[i]/255,g=data[i+1]/255,b=data[i+2]/255; const lum=0.2126*r+0.7152*g+0.0722*b; lSum+=lum; lSq+=lum*lum; n++;}
+    const meanL = lSum/Math.max(1,n);
+    const variance = Math.max(0,(lSq/Math.max(1,n)) - meanL*meanL);
+
+    state.brightness.push(luminance);
+    if (state.brightness.length>opts.statsLength) state.brightness.shift();
+    state.variance.push(variance);
+    if (state.variance.length>opts.statsLength) state.variance.shift();
+
+    const avgBrightness = trimmedMean(state.brightness,0.15);
+    const avgVariance = trimmedMean(state.variance,0.15);
+    let lightingState='OK';
+    if (avgBrightness < opts.darkThreshold) lightingState='Too Dark'; else if (avgBrightness>opts.brightThreshold) lightingState='Too Bright'; else if (avgVariance<opts.textureThreshold) lightingState='Low Texture';
+
+    const scorer = getScorer(opts.scorer);
+    const result = scorer.score(imageData, { avg: { r: rAvg, g: gAvg, b: bAvg }, gains, luminance, lightingState });
+    let rawScore = clamp01(result.score);
+
+    // The scene category flickers on borderline frames; report the recent majority
+    let category = null;
+    if (result.category) {
+      state.categories.push(result.category);
+      if (state.categories.length>opts.statsLength) state.categories.shift();
+      const id = mode(state.categories.map(c => c.id));
+      category = [...state.categories].reverse().find(c => c.id === id);
+    }
+
+    const hist = state.history; hist.push(rawScore); if (hist.length>opts.historyLength) hist.shift();
+    if (['Too Dark','Too Bright','Low Texture'].includes(lightingState) && hist.length){
+      const prevMed = median(hist); rawScore = prevMed*0.7 + rawScore*0.3; hist[hist.length-1]=rawScore; }
+
+    const sorted=[...hist].sort((a,b)=>a-b); const med=sorted[Math.floor(sorted.length/2)];
+    const iqr = sorted[Math.floor(sorted.length*0.75)] - sorted[Math.floor(sorted.length*0.25)] || 1e-6;
+    const filtered = hist.filter(v=> v>= med-1.5*iqr && v<= med+1.5*iqr);
+    const smoothed = median(filtered.length?filtered:hist);
+    const mapped = greenToScore(smoothed);
+
+    const stability = 1 - (sorted[sorted.length-1]-sorted[0]);
+    const stabilityComponent = Math.max(0, Math.min(1, stability));
+    let conf = clamp01(result.confidence)*0.70 + stabilityComponent*0.30;
+    if (hist.length>=10) conf = Math.min(1, conf+0.1);
+    if (lightingState!=='OK') conf*=0.7; if (avgVariance<opts.textureThreshold) conf*=0.75; conf = Math.max(0.2, Math.min(1, conf));
+
+    const warnings=[]; if (lightingState==='Too Dark') warnings.push('Increase lighting'); if (lightingState==='Too Bright') warnings.push('Reduce glare'); if (lightingState==='Low Texture') warnings.push('Move closer / adjust focus');
+    warnings.push(...(result.warnings || []));
+
+    return { mappedScore: mapped, conf, lightingState, warnings, scorer: scorer.id, category, factors: result.factors || [] };
+  };
+
+  const reset = () => {
+    state.history = [];
+    state.brightness = [];
+    state.variance = [];
+    state.categories = [];
+  };
+
+  // New options apply from the next frame; shorter windows drop their oldest entries.
+  // Raw scores from another scorer aren't comparable, so switching starts the score history over.
+  const configure = (options = {}) => {
+    const prevScorer = getScorer(opts.scorer).id;
+    opts = { ...ANALYZER_DEFAULTS, ...options };
+    if (getScorer(opts.scorer).id !== prevScorer) { state.history = []; state.categories = []; }
+    state.history = state.history.slice(-opts.historyLength);
+    state.categories = state.categories.slice(-opts.statsLength);
+    state.brightness = state.brightness.slice(-opts.statsLength);
+    state.variance = state.variance.slice(-opts.statsLength);
+  };
+
+  return { analyzeImageData, reset, configure };
+}
@@ -0,0 +1,75 @@
+// DOM-free barcode decoding on raw RGBA pixels (usable inside a worker)
+import { MultiFormatReader, RGBLuminanceSource, BinaryBitmap, HybridBinarizer, DecodeHintType, BarcodeFormat } from '@zxing/library';
+
+// Selectable symbologies: ZXing format name -> label
+export const BARCODE_FORMATS = {
+  EAN_13: 'EAN-13',
+  EAN_8: 'EAN-8',
+  UPC_A: 'UPC-A',
+  UPC_E: 'UPC-E',
+  CODE_128: 'Code 128',
+  QR_CODE: 'QR',
+  DATA_MATRIX: 'DataMatrix',
+};
+
+// Formats that carry a GTIN directly
+export const RETAIL_FORMATS = ['EAN_13', 'EAN_8', 'UPC_A', 'UPC_E'];
+
+/**
+ * UPC-A for a zero-suppressed UPC-E code (number system, 6 digits, check digit), or null.
+ * The last of the 6 digits says where the zeros went: "04252614" -> "042100005264".
+ */
+export function expandUpcE(code) {
+  const m = /^([01])(\d{6})(\d)$/.exec(String(code));
+  if (!m) return null;
+  const [, ns, d, check] = m;
+  const last = Number(d[5]);
+  const body = last <= 2 ? `${d.slice(0, 2)}${last}0000${d.slice(2, 5)}`
+    : last === 3 ? `${d.slice(0, 3)}00000${d.slice(3, 5)}`
+    : last === 4 ? `${d.slice(0, 4)}00000${d[4]}`
+    : `${d.slice(0, 5)}0000${last}`;
+  return ns + body + check;
+}
+
+/**
+ * GTIN to look up for a decoded code, or null. Retail symbologies are the GTIN (UPC-E after
+ * expanding it to UPC-A; as 8 digits it would be read as an EAN-8); GS1 payloads
+ * (DataMatrix / QR / Code 128) carry it in application identifier (01).
+ */
+export function productCodeOf({ text, format }) {
+  if (format === 'UPC_E') return expandUpcE(text);
+  if (RETAIL_FORMATS.includes(format)) return text;
+  const gs1 = /^(?:\]\w\d)?(?:\(01\)|01)(\d{14})/.exec(String(text).replace(/\x1d/g, ''));
+  return gs1 ? gs1[1].replace(/^0/, '') : null;
+}
+
+export function createBarcodeDecoder(options = {}) {
+  const reader = new MultiFormatReader();
+
+  // { formats: [name], tryHarder: bool }; unknown format names are ignored
+  const configure = ({ formats = RETAIL_FORMATS, tryHarder = false } = {}) => {
+    const hints = new Map();
+    const possible = formats.filter(f => BARCODE_FORMATS[f]).map(f => BarcodeFormat[f]);
+    if (possible.length) hints.set(DecodeHintType.POSSIBLE_FORMATS, possible);
+    hints.set(DecodeHintType.TRY_HARDER, !!tryHarder);
+    reader.setHints(hints);
+  };
+  configure(options);
+
+  // Returns { text, format } or null when nothing is found
+  const decode = ({ data, width, height }) => {
+    const lum = new Uint8ClampedArray(width * height);
+    for (let i = 0, p = 0; p < lum.length; i += 4, p++) {
+      lum[p] = (data[i] * 306 + data[i + 1] * 601 + data[i + 2] * 117) >> 10;
+    }
+    try {
+      const bitmap = new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(lum, width, height, width, height, 0, 0)));
+      const result = reader.decodeWithState(bitmap);
+      return { text: result.getText(), format: BarcodeFormat[result.getBarcodeFormat()] };
+    } catch (_) {
+      return null; // NotFound / Checksum / Format: no barcode in this frame
+    }
+  };
+
+  return { decode, configure };
+}
@@ -0,0 +1,190 @@
+// Batch analysis of uploaded product photos: each image gets a fresh analyzer (no history
+// from the previous photo), a barcode decode and optionally one /api/analyze call, paced
+// like the live path and honouring Retry-After.
+// Row: { id, name, path, size, status, thumbnail, width, height, score, confidence, lighting,
+//        category, warnings, barcode, format, apiScore, apiConfidence, apiModel, error }
+
+import { createAnalyzer } from './analyzer.js';
+import { fitSize, FRAME_MAX_SIDE } from './framePipeline.js';
+import { getClientId, parseRetryAfter } from './clientId.js';
+
+const DECODE_SIDE = 1600; // second barcode attempt on a larger copy; codes are small in shelf photos
+const THUMB_SIDE = 96;
+const API_SIDE = 512;
+export const API_INTERVAL = 2500; // default min ms between batch API calls
+const API_ATTEMPTS = 3;
+
+export const isImageFile = (file) => /^image\//.test(file.type) || /\.(jpe?g|png|webp|gif|bmp|heic)$/i.test(file.name);
+
+export const newRow = (file, id) => ({ id, name: file.name, path: file.webkitRelativePath || file.name, size: file.size, status: 'queued' });
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  if (signal) signal.addEventListener('abort', () => { clearTimeout(timer); resolve(); }, { once: true });
+});
+
+const drawScaled = (bitmap, maxSide) => {
+  const { width, height } = fitSize(bitmap.width, bitmap.height, maxSide);
+  const canvas = document.createElement('canvas');
+  canvas.width = width; canvas.height = height;
+  canvas.getContext('2d', { willReadFrequently: true }).drawImage(bitmap, 0, 0, width, height);
+  return canvas;
+};
+
+const pixels = (canvas) => canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+
+const toBlob = (canvas) => new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+
+/**
+ * Heuristic + barcode for one image file. decoder: createBarcodeDecoder() instance;
+ * analyzerOptions as for createAnalyzer.
+ * Resolves the row fields plus `upload` (a canvas for the optional API call).
+ */
+export async function analyzeImageFile(file, decoder, analyzerOptions) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  try {
+    const analysisCanvas = drawScaled(bitmap, FRAME_MAX_SIDE);
+    const imageData = pixels(analysisCanvas);
+    const a = createAnalyzer(analyzerOptions).analyzeImageData(imageData);
+    let found = decoder.decode(imageData);
+    if (!found && Math.max(bitmap.width, bitmap.height) > FRAME_MAX_SIDE) found = decoder.decode(pixels(drawScaled(bitmap, DECODE_SIDE)));
+    return {
+      width: bitmap.width,
+      height: bitmap.height,
+      thumbnail: drawScaled(bitmap, THUMB_SIDE).toDataURL('image/jpeg', 0.7),
+      score: a ? a.mappedScore : null,
+      confidence: a ? Math.round(a.conf * 100) : null,
+      lighting: a ? a.lightingState : '',
+      category: a && a.category ? a.category.label : '',
+      warnings: a ? a.warnings : [],
+      barcode: found ? found.text : '',
+      format: found ? found.format : '',
+      upload: drawScaled(bitmap, API_SIDE),
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * One /api/analyze call (plain JSON, no streaming). Resolves { score, confidence, model }
+ * or { retryAfter } in ms when the server is rate limiting.
+ */
+export async function requestApiAnalysis(canvas, barcode) {
+  const blob = await toBlob(canvas);
+  if (!blob) throw new Error('encode failed');
+  const form = new FormData();
+  form.append('image', blob, 'frame.jpg');
+  if (barcode) form.append('barcode', barcode);
+  form.append('use_model', 'true');
+  const resp = await fetch('/api/analyze', {
+    method: 'POST',
+    body: form,
+    headers: { Accept: 'application/json', 'X-Client-Id': getClientId() },
+  });
+  const retryAfter = parseRetryAfter(resp.headers.get('Retry-After'));
+  if (resp.status === 429 || resp.status === 503) return { retryAfter: retryAfter ?? 10000 };
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  const data = await resp.json();
+  return {
+    score: typeof data.score === 'number' ? data.score : null,
+    confidence: typeof data.confidence === 'number' ? Math.round(data.confidence) : null,
+    model: data.model ? String(data.model).slice(0, 40) : '',
+  };
+}
+
+/**
+ * Work through files one at a time. onUpdate(index, patch) receives row changes;
+ * onWait(ms) is told when the queue is waiting for the API. Stops early when signal aborts.
+ */
+export async function runBatch(files, { decoder, analyzerOptions, useApi = false, apiInterval = API_INTERVAL, signal, onUpdate, onWait = () => {} }) {
+  let lastApi = 0;
+  for (let i = 0; i < files.length; i++) {
+    if (signal && signal.aborted) return;
+    onUpdate(i, { status: 'analyzing' });
+    let result;
+    try {
+      result = await analyzeImageFile(files[i], decoder, analyzerOptions);
+    } catch (err) {
+      onUpdate(i, { status: 'error', error: err.message || 'Could not read image' });
+      continue;
+    }
+    const { upload, ...fields } = result;
+    onUpdate(i, { ...fields, status: useApi ? 'waiting' : 'done' });
+    if (!useApi) continue;
+
+    for (let attempt = 1; attempt <= API_ATTEMPTS; attempt++) {
+      const wait = lastApi + apiInterval - Date.now();
+      if (wait > 0) { onWait(wait); await sleep(wait, signal); onWait(0); }
+      if (signal && signal.aborted) return;
+      lastApi = Date.now();
+      onUpdate(i, { status: 'api' });
+      try {
+        const api = await requestApiAnalysis(upload, fields.barcode);
+        if (api.retryAfter != null) {
+          // Server says when to come back; this image is retried after that
+          onUpdate(i, { status: 'waiting', error: `Rate limited (attempt ${attempt})` });
+          onWait(api.retryAfter);
+          await sleep(api.retryAfter, signal);
+          onWait(0);
+          if (attempt === API_ATTEMPTS) onUpdate(i, { status: 'done', error: 'Rate limited; API skipped' });
+          continue;
+        }
+        onUpdate(i, { status: 'done', error: '', apiScore: api.score, apiConfidence: api.confidence, apiModel: api.model });
+      } catch (err) {
+        onUpdate(i, { status: 'done', error: `API: ${err.message || 'error'}` });
+      }
+      break;
+    }
+  }
+}
+
+// Columns shared by the table and the exports: [key, label]
+export const BATCH_COLUMNS = [
+  ['path', 'File'],
+  ['score', 'Score'],
+  ['confidence', 'Confidence'],
+  ['lighting', 'Lighting'],
+  ['category', 'Category'],
+  ['barcode', 'Barcode'],
+  ['format', 'Format'],
+  ['apiScore', 'API score'],
+  ['apiConfidence', 'API confidence'],
+  ['apiModel', 'API model'],
+  ['width', 'Width'],
+  ['height', 'Height'],
+  ['status', 'Status'],
+  ['error', 'Error'],
+];
+
+// Numbers sort numerically, missing values last in either direction
+export function sortRows(rows, key, dir = 'asc') {
+  const sign = dir === 'desc' ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const x = a[key], y = b[key];
+    const xMissing = x == null || x === '', yMissing = y == null || y === '';
+    if (xMissing || yMissing) return xMissing - yMissing;
+    if (typeof x === 'number' && typeof y === 'number') return (x - y) * sign;
+    return String(x).localeCompare(String(y), undefined, { numeric: true }) * sign;
+  });
+}
+
+const csvCell = (v) => {
+  const s = v == null ? '' : Array.isArray(v) ? v.join('; ') : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function rowsToCsv(rows) {
+  const cols = [...BATCH_COLUMNS, ['warnings', 'Warnings']];
+  const lines = [cols.map(([, label]) => csvCell(label)).join(',')];
+  for (const row of rows) lines.push(cols.map(([key]) => csvCell(row[key])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Thumbnails stay out of the export; everything else is kept as-is
+export function rowsToJson(rows) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    results: rows.map(({ id, thumbnail, ...rest }) => rest),
+  }, null, 2);
+}
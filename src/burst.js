@@ -0,0 +1,88 @@
+// Burst capture: grab several frames over ~1 s, rank them by sharpness (variance of the
+// Laplacian) and exposure, and keep only the best one at full resolution.
+
+import { fitSize } from './framePipeline.js';
+
+const METRIC_SIDE = 480; // frames are ranked on a copy this size; enough to tell blur apart
+
+// Variance of the 4-neighbour Laplacian over luminance; higher = sharper
+export function sharpness({ data, width, height }) {
+  const lum = new Float32Array(width * height);
+  for (let i = 0, p = 0; p < lum.length; i += 4, p++) lum[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  let sum = 0, sq = 0, n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const p = y * width + x;
+      const l = lum[p - 1] + lum[p + 1] + lum[p - width] + lum[p + width] - 4 * lum[p];
+      sum += l; sq += l * l; n++;
+    }
+  }
+  if (!n) return 0;
+  const mean = sum / n;
+  return sq / n - mean * mean;
+}
+
+// 0..1: mid-grey mean and few clipped pixels score high
+export function exposure({ data }) {
+  let sum = 0, clipped = 0, n = 0;
+  for (let i = 0; i < data.length; i += 16) {
+    const l = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+    sum += l;
+    if (l < 0.03 || l > 0.97) clipped++;
+    n++;
+  }
+  if (!n) return 0;
+  const mean = sum / n;
+  return Math.max(0.05, Math.min(1, 1 - Math.abs(mean - 0.5) * 0.8 - (clipped / n) * 2));
+}
+
+// Sharpness dominates; exposure scales it so a crisp but blown-out frame doesn't win
+export const frameScore = (m) => Math.log1p(m.sharpness) * m.exposure;
+
+const nextFrame = (video, ms) => new Promise((resolve) => {
+  if (typeof video.requestVideoFrameCallback === 'function') {
+    const timer = setTimeout(resolve, ms + 100); // paused video never calls back
+    setTimeout(() => video.requestVideoFrameCallback(() => { clearTimeout(timer); resolve(); }), ms);
+  } else {
+    setTimeout(resolve, ms);
+  }
+});
+
+/**
+ * captureBurst(video, crop, { frames, durationMs, maxSide, onProgress })
+ * crop: source rect { x, y, w, h } in video pixels (ROI or full frame).
+ * Resolves { canvas, imageData, best, candidates }: canvas holds the winning frame at full crop
+ * resolution, imageData the same frame at analysis size (longest side maxSide).
+ */
+export async function captureBurst(video, crop, { frames = 8, durationMs = 1000, maxSide, onProgress } = {}) {
+  const metricSize = fitSize(crop.w, crop.h, METRIC_SIDE);
+  const metricCanvas = document.createElement('canvas');
+  metricCanvas.width = metricSize.width; metricCanvas.height = metricSize.height;
+  const metricCtx = metricCanvas.getContext('2d', { willReadFrequently: true });
+  const best = document.createElement('canvas');
+  best.width = crop.w; best.height = crop.h;
+  const bestCtx = best.getContext('2d');
+
+  const candidates = [];
+  let bestIndex = -1;
+  for (let i = 0; i < frames; i++) {
+    if (i) await nextFrame(video, durationMs / frames);
+    metricCtx.drawImage(video, crop.x, crop.y, crop.w, crop.h, 0, 0, metricSize.width, metricSize.height);
+    const img = metricCtx.getImageData(0, 0, metricSize.width, metricSize.height);
+    const m = { sharpness: sharpness(img), exposure: exposure(img) };
+    m.score = frameScore(m);
+    candidates.push(m);
+    if (bestIndex < 0 || m.score > candidates[bestIndex].score) {
+      bestIndex = i;
+      bestCtx.drawImage(video, crop.x, crop.y, crop.w, crop.h, 0, 0, crop.w, crop.h);
+    }
+    if (onProgress) onProgress((i + 1) / frames);
+  }
+
+  const size = fitSize(crop.w, crop.h, maxSide);
+  const analysis = document.createElement('canvas');
+  analysis.width = size.width; analysis.height = size.height;
+  const actx = analysis.getContext('2d', { willReadFrequently: true });
+  actx.drawImage(best, 0, 0, size.width, size.height);
+  return { canvas: best, imageData: actx.getImageData(0, 0, size.width, size.height), best: candidates[bestIndex], bestIndex, candidates };
+}
@@ -0,0 +1,98 @@
+// Camera selection and track controls (torch, zoom, focus) on top of
+// enumerateDevices + MediaStreamTrack.getCapabilities / applyConstraints.
+// Settings persist in localStorage; unsupported controls are simply not offered.
+
+const STORAGE_KEY = 'phs-camera-v1';
+
+// preset -> ideal capture size (landscape; the browser rotates for portrait)
+export const RESOLUTIONS = {
+  '720p': [1280, 720],
+  '1080p': [1920, 1080],
+  '4k': [3840, 2160],
+};
+
+export const defaultCameraSettings = () => ({ deviceId: '', resolution: '1080p', torch: false, zoom: null });
+
+export function loadCameraSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!raw || typeof raw !== 'object') return defaultCameraSettings();
+    const d = defaultCameraSettings();
+    return {
+      deviceId: typeof raw.deviceId === 'string' ? raw.deviceId : d.deviceId,
+      resolution: RESOLUTIONS[raw.resolution] ? raw.resolution : d.resolution,
+      torch: raw.torch === true,
+      zoom: typeof raw.zoom === 'number' ? raw.zoom : null,
+    };
+  } catch (_) {
+    return defaultCameraSettings();
+  }
+}
+
+export function saveCameraSettings(settings) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)); } catch (_) { /* private mode */ }
+}
+
+// getUserMedia video constraints; a saved device that disappeared falls back to the rear camera
+export function videoConstraints(settings) {
+  const [width, height] = RESOLUTIONS[settings.resolution] || RESOLUTIONS['1080p'];
+  const base = { width: { ideal: width }, height: { ideal: height } };
+  return settings.deviceId
+    ? { ...base, deviceId: { exact: settings.deviceId } }
+    : { ...base, facingMode: 'environment' };
+}
+
+export async function listCameras() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(d => d.kind === 'videoinput')
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
+
+/**
+ * What the running track can do:
+ * { torch: bool, zoom: { min, max, step } | null, focus: bool (point of interest), focusModes: string[], width, height, deviceId }
+ */
+export function trackCapabilities(track) {
+  const caps = track && typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+  const settings = track && typeof track.getSettings === 'function' ? track.getSettings() : {};
+  const focusModes = Array.isArray(caps.focusMode) ? caps.focusMode : [];
+  return {
+    torch: caps.torch === true || (Array.isArray(caps.torch) && caps.torch.includes(true)),
+    zoom: caps.zoom && caps.zoom.max > caps.zoom.min ? { min: caps.zoom.min, max: caps.zoom.max, step: caps.zoom.step || 0.1 } : null,
+    focus: 'pointsOfInterest' in caps || focusModes.includes('single-shot'),
+    focusModes,
+    width: settings.width || 0,
+    height: settings.height || 0,
+    deviceId: settings.deviceId || '',
+  };
+}
+
+const applyAdvanced = async (track, constraint) => {
+  try {
+    await track.applyConstraints({ advanced: [constraint] });
+    return true;
+  } catch (err) {
+    console.warn('camera constraint rejected', constraint, err);
+    return false;
+  }
+};
+
+export const setTorch = (track, on) => applyAdvanced(track, { torch: !!on });
+
+export const setZoom = (track, zoom) => applyAdvanced(track, { zoom });
+
+// Focus (and meter) at a normalized frame point; falls back to a one-off autofocus
+export async function focusAt(track, caps, point) {
+  if (!caps.focus) return false;
+  const constraint = {};
+  if (caps.focusModes.includes('single-shot')) constraint.focusMode = 'single-shot';
+  const withPoint = { ...constraint, pointsOfInterest: [{ x: point.x, y: point.y }] };
+  if (await applyAdvanced(track, withPoint)) {
+    // Return to continuous focus so the next product is picked up on its own
+    if (caps.focusModes.includes('continuous')) setTimeout(() => applyAdvanced(track, { focusMode: 'continuous' }), 3000);
+    return true;
+  }
+  return Object.keys(constraint).length ? applyAdvanced(track, constraint) : false;
+}
@@ -0,0 +1,25 @@
+// Stable anonymous id sent as X-Client-Id so the server can apply per-client quotas
+
+const STORAGE_KEY = 'phs-client-id';
+
+export function getClientId() {
+  try {
+    let id = localStorage.getItem(STORAGE_KEY);
+    if (!id) {
+      id = (crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+      localStorage.setItem(STORAGE_KEY, id);
+    }
+    return id;
+  } catch {
+    return '';
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date; returns ms or null
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
@@ -0,0 +1,56 @@
+// Side-by-side comparison of pinned results.
+// Slot: { id, label, score, confidence, pros, cons, barcode, thumbnail, sugars?, sodium?, allergens? }
+
+export const MAX_SLOTS = 4;
+
+// [key, label, better ('high' | 'low'), format]
+const ATTRIBUTES = [
+  ['score', 'Score', 'high', v => `${v}/10`],
+  ['confidence', 'Confidence', 'high', v => `${v}%`],
+  ['sugars', 'Sugars / 100 g', 'low', v => `${v} g`],
+  ['sodium', 'Sodium / 100 g', 'low', v => `${Math.round(v * 1000)} mg`],
+  ['allergenCount', 'Allergens', 'low', (v, slot) => (v ? slot.allergens.join(', ') : 'none')],
+];
+
+const known = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Build comparison rows. A row is only included when at least one slot knows the value;
+ * `best` lists the indexes holding the best known value (ties all highlighted).
+ */
+export function compareSlots(slots) {
+  const withCounts = slots.map(s => ({ ...s, allergenCount: Array.isArray(s.allergens) ? s.allergens.length : undefined }));
+  const rows = [];
+  for (const [key, label, better, format] of ATTRIBUTES) {
+    const values = withCounts.map(s => s[key]);
+    const knownValues = values.filter(known);
+    if (!knownValues.length) continue;
+    const target = better === 'high' ? Math.max(...knownValues) : Math.min(...knownValues);
+    const best = knownValues.length > 1 ? values.map((v, i) => (v === target ? i : -1)).filter(i => i >= 0) : [];
+    rows.push({ key, label, cells: withCounts.map((s, i) => (known(values[i]) ? format(values[i], s) : '—')), best });
+  }
+  return rows;
+}
+
+// Winner = highest score, then fewer allergens, then higher confidence.
+// Unknown allergens rank below any declared list, including a long one.
+export function pickWinner(slots) {
+  if (slots.length < 2) return null;
+  const rank = (s) => [s.score ?? 0, -(Array.isArray(s.allergens) ? s.allergens.length : Infinity), s.confidence ?? 0];
+  const sorted = [...slots].sort((a, b) => {
+    const ra = rank(a), rb = rank(b);
+    for (let i = 0; i < ra.length; i++) if (ra[i] !== rb[i]) return rb[i] - ra[i];
+    return 0;
+  });
+  const [first, second] = sorted;
+  const tie = rank(first).every((v, i) => v === rank(second)[i]);
+  return tie ? null : first;
+}
+
+export function summarize(slots) {
+  if (slots.length < 2) return '';
+  const winner = pickWinner(slots);
+  if (!winner) return `It's a tie between ${slots.map(s => s.label).join(' and ')}.`;
+  const others = slots.filter(s => s !== winner).map(s => `${s.label} at ${s.score}`).join(', ');
+  return `${winner.label} wins with a score of ${winner.score} out of 10, versus ${others}.`;
+}
@@ -0,0 +1,104 @@
+// Dietary profile (persisted in localStorage) and the rules that check a scan against it.
+
+const STORAGE_KEY = 'phs-profile-v1';
+
+// key -> [label, OFF allergen tag, ingredient keywords]
+export const ALLERGENS = {
+  gluten: ['Gluten', 'gluten', /\b(wheat|barley|rye|spelt|malt|semolina|gluten)\b/i],
+  peanuts: ['Peanuts', 'peanuts', /\bpeanuts?\b/i],
+  nuts: ['Tree nuts', 'nuts', /\b(hazelnuts?|almonds?|walnuts?|cashews?|pecans?|pistachios?)\b/i],
+  milk: ['Milk', 'milk', /\b((?<!(coconut|oat|almond|soy|soya|rice|cashew|hazelnut|hemp|pea)[ -])milk|whey|casein|lactose|(?<!(cocoa|shea|peanut) )butter|cream|cheese)\b/i],
+  eggs: ['Eggs', 'eggs', /\beggs?\b/i],
+  soy: ['Soy', 'soybeans', /\bsoy(a|bean)?s?\b/i],
+  fish: ['Fish', 'fish', /\b(fish|anchov(y|ies)|tuna|salmon|cod)\b/i],
+  shellfish: ['Shellfish', 'crustaceans', /\b(shrimps?|prawns?|crab|lobster)\b/i],
+  sesame: ['Sesame', 'sesame-seeds', /\bsesame\b/i],
+};
+
+const ANIMAL = /\b(meat|beef|pork|chicken|gelatine?|lard|anchov(y|ies)|fish|honey|carmine|e120)\b/i;
+const NON_VEGETARIAN = /\b(meat|beef|pork|chicken|gelatine?|lard|anchov(y|ies)|fish|carmine|e120|rennet)\b/i;
+const NON_HALAL = /\b(pork|bacon|ham|lard|gelatine?|wine|beer|rum|alcohol)\b/i;
+
+// key -> [label, check(scan) -> message | null]
+export const DIETS = {
+  vegan: ['Vegan', (s) => {
+    if (s.labels.includes('vegan')) return null;
+    const hit = ['milk', 'eggs', 'fish', 'crustaceans'].find(a => s.allergens.includes(a)) || matchWord(s.text, ANIMAL) || matchWord(s.text, ALLERGENS.milk[2]) || matchWord(s.text, ALLERGENS.eggs[2]);
+    return hit ? `Not vegan — contains ${hit}` : null;
+  }],
+  vegetarian: ['Vegetarian', (s) => {
+    if (s.labels.includes('vegetarian') || s.labels.includes('vegan')) return null;
+    const hit = ['fish', 'crustaceans'].find(a => s.allergens.includes(a)) || matchWord(s.text, NON_VEGETARIAN);
+    return hit ? `Not vegetarian — contains ${hit}` : null;
+  }],
+  halal: ['Halal', (s) => {
+    if (s.labels.includes('halal')) return null;
+    const hit = matchWord(s.text, NON_HALAL);
+    return hit ? `May not be halal — contains ${hit}` : null;
+  }],
+  low_sodium: ['Low sodium', (s) => {
+    const sodium = s.nutriments.sodium ?? (s.nutriments.salt !== undefined ? s.nutriments.salt / 2.5 : undefined);
+    return sodium !== undefined && sodium > 0.4 ? `High sodium for low-sodium diet (${Math.round(sodium * 1000)} mg/100 g)` : null;
+  }],
+  diabetic: ['Diabetic', (s) => {
+    const sugars = s.nutriments.sugars;
+    return sugars !== undefined && sugars > 10 ? `High sugars for diabetic diet (${sugars} g/100 g)` : null;
+  }],
+};
+
+function matchWord(text, re) {
+  const m = text && text.match(re);
+  return m ? m[0].toLowerCase() : null;
+}
+
+export const emptyProfile = () => ({ allergens: [], diets: [] });
+
+export function loadProfile() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!raw) return emptyProfile();
+    return {
+      allergens: (raw.allergens || []).filter(k => k in ALLERGENS),
+      diets: (raw.diets || []).filter(k => k in DIETS),
+    };
+  } catch {
+    return emptyProfile();
+  }
+}
+
+export function saveProfile(profile) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(profile)); } catch (e) { console.warn('profile save failed', e); }
+}
+
+export const isProfileEmpty = (p) => !p.allergens.length && !p.diets.length;
+
+// Score penalty per conflict type (applied to the 1..10 scale, floored at 1)
+const PENALTY = { allergen: 4, diet: 2 };
+
+/**
+ * Cross-check a scan against the profile.
+ * scan: { allergens: string[], labels: string[], ingredients: string[] | ingredients_text, nutriments }
+ * Returns { conflicts: [{ type, key, message }], penalty }
+ */
+export function checkProfile(profile, scan) {
+  const conflicts = [];
+  if (!profile || !scan) return { conflicts, penalty: 0 };
+  const s = {
+    allergens: scan.allergens || [],
+    labels: scan.labels || [],
+    text: scan.ingredients_text || (scan.ingredients || []).join(', '),
+    nutriments: scan.nutriments || {},
+  };
+  for (const key of profile.allergens) {
+    const [label, tag, re] = ALLERGENS[key];
+    if (s.allergens.includes(tag) || matchWord(s.text, re)) {
+      conflicts.push({ type: 'allergen', key, message: `Contains ${label.toLowerCase()} — conflicts with your profile` });
+    }
+  }
+  for (const key of profile.diets) {
+    const msg = DIETS[key][1](s);
+    if (msg) conflicts.push({ type: 'diet', key, message: msg });
+  }
+  const penalty = conflicts.reduce((a, c) => a + PENALTY[c.type], 0);
+  return { conflicts, penalty };
+}
@@ -0,0 +1,71 @@
+// Main-thread side of the frame worker. Frames are downscaled by createImageBitmap,
+// transferred (not copied) to the worker, and dropped while the worker is still busy.
+
+export const FRAME_MAX_SIDE = 960;
+
+export const workerSupported = () =>
+  typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+
+// Fit w x h inside maxSide, keeping aspect
+export function fitSize(w, h, maxSide = FRAME_MAX_SIDE) {
+  const scale = Math.min(1, maxSide / Math.max(w, h));
+  return { width: Math.max(1, Math.round(w * scale)), height: Math.max(1, Math.round(h * scale)) };
+}
+
+/**
+ * createFramePipeline(onResult) -> { submit(source, crop, opts), stats, reset(), configure(decoderOptions),
+ *                                    configureAnalyzer(analyzerOptions), terminate() }
+ * crop is the source rect { x, y, w, h } in source pixels (the ROI, or the full frame);
+ * opts.decodeOnly skips the analyzer (scanner mode)
+ * onResult({ analysis, barcode, timings: { bitmap, read, analyze, decode, total } })
+ */
+export function createFramePipeline(onResult) {
+  const worker = new Worker(new URL('./frameWorker.js', import.meta.url), { type: 'module' });
+  const stats = { submitted: 0, dropped: 0 };
+  let busy = false;
+  let nextId = 0;
+  const pending = new Map(); // id -> { start, bitmap ms }
+
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type !== 'result') return;
+    busy = false;
+    const p = pending.get(msg.id);
+    pending.delete(msg.id);
+    const timings = { ...msg.timings, bitmap: p ? p.bitmap : 0, total: p ? performance.now() - p.start : 0 };
+    onResult({ analysis: msg.analysis, barcode: msg.barcode, timings });
+  };
+  worker.onerror = (e) => {
+    busy = false;
+    console.warn('frame worker error', e.message || e);
+  };
+
+  // Returns false when the frame was dropped
+  const submit = async (source, crop, { decodeOnly = false } = {}) => {
+    if (busy) { stats.dropped++; return false; }
+    busy = true;
+    const start = performance.now();
+    try {
+      const { width, height } = fitSize(crop.w, crop.h);
+      const bitmap = await createImageBitmap(source, crop.x, crop.y, crop.w, crop.h, { resizeWidth: width, resizeHeight: height, resizeQuality: 'low' });
+      const id = ++nextId;
+      pending.set(id, { start, bitmap: performance.now() - start });
+      worker.postMessage({ type: 'frame', id, bitmap, decodeOnly }, [bitmap]);
+      stats.submitted++;
+      return true;
+    } catch (err) {
+      busy = false;
+      console.warn('frame capture failed', err);
+      return false;
+    }
+  };
+
+  return {
+    submit,
+    stats,
+    reset: () => worker.postMessage({ type: 'reset' }),
+    configure: (options) => worker.postMessage({ type: 'config', ...options }),
+    configureAnalyzer: (options) => worker.postMessage({ type: 'analyzer-config', options }),
+    terminate: () => worker.terminate(),
+  };
+}
@@ -0,0 +1,34 @@
+// Frame worker: receives downscaled ImageBitmaps, runs the analyzer and barcode
+// decoder off the main thread and posts results back with per-stage timings.
+// Messages: frame { id, bitmap, decodeOnly }, reset, config { formats, tryHarder },
+// analyzer-config { options } (window lengths / lighting thresholds / white-balance gains).
+import { createAnalyzer } from './analyzer.js';
+import { createBarcodeDecoder } from './barcodeDecoder.js';
+
+const analyzer = createAnalyzer();
+const decoder = createBarcodeDecoder();
+let canvas = null;
+let ctx = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'reset') { analyzer.reset(); return; }
+  if (msg.type === 'config') { decoder.configure(msg); return; }
+  if (msg.type === 'analyzer-config') { analyzer.configure(msg.options); return; }
+  if (msg.type !== 'frame') return;
+  const { id, bitmap, decodeOnly } = msg;
+  const t0 = performance.now();
+  if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+    canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const t1 = performance.now();
+  const analysis = decodeOnly ? null : analyzer.analyzeImageData(imageData);
+  const t2 = performance.now();
+  const barcode = decoder.decode(imageData);
+  const t3 = performance.now();
+  self.postMessage({ type: 'result', id, analysis, barcode, timings: { read: t1 - t0, analyze: t2 - t1, decode: t3 - t2 } });
+};
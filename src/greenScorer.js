@@ -0,0 +1,27 @@
+// The heuristic the scanner started with, as a scorer (interface in src/scorers.js):
+// greener frames score higher, strong red / blue casts lower.
+
+const pct = (v) => `${Math.round(v * 100)}%`;
+
+export const greenScorer = {
+  id: 'green',
+  label: 'Green bias',
+  description: 'Share of green in the frame, minus a red / blue imbalance penalty',
+  score(imageData, { avg }) {
+    const { r, g, b } = avg;
+    const greenDominance = g / (r + g + b + 1e-6);
+    const balancePenalty = Math.abs(r - b) * 0.15;
+    const dominanceComponent = Math.min(1, Math.abs(greenDominance - 1 / 3) * 2.2);
+    const chroma = Math.sqrt(((r - g) ** 2 + (g - b) ** 2 + (r - b) ** 2) / 3);
+    const chromaComponent = Math.min(1, chroma * 1.8);
+    return {
+      score: Math.max(0, greenDominance - balancePenalty),
+      confidence: (dominanceComponent * 0.45 + chromaComponent * 0.25) / 0.7,
+      factors: [
+        { label: 'Green share', value: pct(greenDominance), effect: greenDominance > 1 / 3 ? 'pro' : 'con' },
+        { label: 'Red / blue imbalance', value: pct(Math.abs(r - b)), effect: balancePenalty > 0.03 ? 'con' : 'info' },
+      ],
+      warnings: [],
+    };
+  },
+};
@@ -0,0 +1,73 @@
+// IndexedDB persistence for confirmed scans and the offline analysis queue.
+// Record: { id, ts, score, confidence, grade, pros, cons, barcode, name, model, thumbnail,
+//           pendingAnalysis?, enrichment? }
+// Pending: { id, scanId, ts, barcode, image (JPEG Blob), adjust ({ penalty, pros, cons } from the
+//           profile and ingredient checks at save time), attempts, lastError }
+// src/sw.js opens the same database to replay the queue; keep its upgrade in step.
+
+const DB_NAME = 'phs-db';
+const DB_VERSION = 2;
+const SCANS = 'scans';
+const PENDING = 'pending';
+
+let dbPromise = null;
+
+export function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in self)) return reject(new Error('IndexedDB unavailable'));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(SCANS)) {
+        const store = db.createObjectStore(SCANS, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('ts', 'ts');
+        store.createIndex('barcode', 'barcode');
+      }
+      if (!db.objectStoreNames.contains(PENDING)) db.createObjectStore(PENDING, { keyPath: 'id', autoIncrement: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+
+// Run one request in a transaction and resolve with its result once committed
+async function run(storeName, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const addScan = (scan) => run(SCANS, 'readwrite', s => s.add({ ...scan, ts: scan.ts || Date.now() }));
+
+// Newest first
+export const listScans = async () => (await run(SCANS, 'readonly', s => s.index('ts').getAll())).reverse();
+
+export const deleteScan = (id) => run(SCANS, 'readwrite', s => s.delete(id));
+
+export const clearScans = () => run(SCANS, 'readwrite', s => s.clear());
+
+// Frame waiting for /api/analyze; replayed by the service worker (Background Sync or on request)
+export const queueAnalysis = (entry) => run(PENDING, 'readwrite', s => s.add({ ts: Date.now(), attempts: 0, lastError: '', ...entry }));
+
+export const countPending = () => run(PENDING, 'readonly', s => s.count());
+
+/**
+ * In-memory filter for the history view.
+ * query matches barcode or name; minScore/maxScore inclusive; from/to are 'YYYY-MM-DD' (local days).
+ */
+export function filterScans(scans, { query = '', minScore = 1, maxScore = 10, from = '', to = '' } = {}) {
+  const q = query.trim().toLowerCase();
+  const fromTs = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toTs = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  return scans.filter(s =>
+    (!q || (s.barcode || '').includes(q) || (s.name || '').toLowerCase().includes(q)) &&
+    s.score >= minScore && s.score <= maxScore &&
+    s.ts >= fromTs && s.ts <= toTs
+  );
+}
@@ -0,0 +1,188 @@
+// HSV histogram scorer: classify the scene first (fresh produce, packaged product,
+// beverage), then score it with rules for that category. Everything comes from colour
+// and edge statistics, so the category is a guess; scenes that fit no category closely
+// enough fall back to the green heuristic at reduced confidence.
+
+import { greenScorer } from './greenScorer.js';
+
+const HUE_BINS = 12; // 30° each
+const STEP = 4 * 3; // every 3rd pixel
+const MIN_CATEGORY = 0.45; // best category score needed to trust the classification
+const MIN_MARGIN = 0.08; // ...and its lead over the runner-up
+
+export const CATEGORIES = {
+  produce: 'Fresh produce',
+  packaged: 'Packaged product',
+  beverage: 'Beverage',
+  unknown: 'Unknown',
+};
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+const pct = (v) => `${Math.round(v * 100)}%`;
+
+// r, g, b in 0..1 -> { h: 0..360, s: 0..1, v: 0..1 }
+export function rgbToHsv(r, g, b) {
+  const max = Math.max(r, g, b);
+  const d = max - Math.min(r, g, b);
+  let h = 0;
+  if (d > 0) {
+    if (max === r) h = 60 * (((g - b) / d) % 6);
+    else if (max === g) h = 60 * ((b - r) / d + 2);
+    else h = 60 * ((r - g) / d + 4);
+    if (h < 0) h += 360;
+  }
+  return { h, s: max ? d / max : 0, v: max };
+}
+
+/**
+ * Hue histogram and pixel-class fractions of a frame, after white balance.
+ * Fractions of all sampled pixels: colourful, neutral, dark, highlight, edges.
+ * Fractions of colourful pixels: hue[], green, warm, brown, cool, loud (saturated red / yellow).
+ */
+export function hsvHistogram({ data, width }, gains = { r: 1, g: 1, b: 1 }) {
+  const hue = new Float32Array(HUE_BINS);
+  let n = 0, colourful = 0, neutral = 0, dark = 0, highlight = 0, edges = 0;
+  let green = 0, warm = 0, brown = 0, cool = 0, loud = 0, satSum = 0;
+  const rowEnd = width * 4;
+  for (let i = 0; i < data.length; i += STEP) {
+    const r = Math.min(1, data[i] / 255 * gains.r);
+    const g = Math.min(1, data[i + 1] / 255 * gains.g);
+    const b = Math.min(1, data[i + 2] / 255 * gains.b);
+    const { h, s, v } = rgbToHsv(r, g, b);
+    n++;
+    // Print and labels show up as sharp steps between horizontal neighbours
+    if ((i % rowEnd) + 4 < rowEnd && Math.abs(Math.max(data[i + 4], data[i + 5], data[i + 6]) / 255 - Math.max(data[i], data[i + 1], data[i + 2]) / 255) > 0.25) edges++;
+    if (v < 0.2) { dark++; continue; }
+    if (s < 0.15) {
+      neutral++;
+      if (v > 0.92) highlight++;
+      continue;
+    }
+    colourful++;
+    satSum += s;
+    hue[Math.min(HUE_BINS - 1, Math.floor(h / (360 / HUE_BINS)))]++;
+    if (h >= 70 && h < 165) green++;
+    else if (h < 70 || h >= 330) {
+      warm++;
+      if (v < 0.5 && h >= 10 && h < 50) brown++;
+      if (s > 0.7 && v > 0.6 && (h < 15 || (h >= 40 && h < 65) || h >= 345)) loud++;
+    } else cool++;
+  }
+  const c = Math.max(1, colourful);
+  return {
+    hue: Array.from(hue, (x) => x / c),
+    colourful: colourful / Math.max(1, n),
+    neutral: neutral / Math.max(1, n),
+    dark: dark / Math.max(1, n),
+    highlight: highlight / Math.max(1, n),
+    edges: edges / Math.max(1, n),
+    green: green / c,
+    warm: warm / c,
+    brown: brown / c,
+    cool: cool / c,
+    loud: loud / c,
+    saturation: satSum / c,
+  };
+}
+
+/**
+ * Scene category from histogram features.
+ * Returns { id, label, confidence, scores: { produce, packaged, beverage } }.
+ */
+export function classifyScene(hist) {
+  const hues = hist.hue.filter(x => x >= 0.05).length; // palette size
+  const dominant = Math.max(...hist.hue);
+  const print = clamp01(hist.edges * 8);
+  // Highlights are a few small glints; large white areas are labels and backgrounds
+  const glints = clamp01(hist.highlight * 10) * clamp01(1 - (hist.highlight - 0.15) * 4);
+  const scores = {
+    // Mostly colourful, natural hues (not one flat brown), little print
+    produce: clamp01(hist.colourful * 1.4) * 0.35 + clamp01(hist.green + hist.warm - hist.loud - hist.brown) * 0.35 + (1 - print) * 0.3,
+    // Lots of print, a varied palette and white areas
+    packaged: print * 0.45 + clamp01((hues - 2) / 4) * 0.3 + clamp01(hist.neutral * 2) * 0.25,
+    // Specular highlights on glass / plastic, one liquid colour (or none), little print;
+    // without glints a flat scene is more likely a wall or a table than a drink
+    beverage: glints * 0.45 + ((hist.colourful > 0.1 ? dominant : clamp01(hist.neutral * 1.5)) * 0.3 + (1 - print) * 0.25) * Math.min(1, 0.4 + glints),
+  };
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [[best, top], [, second]] = ranked;
+  const total = ranked.reduce((sum, [, v]) => sum + v, 0) || 1;
+  const id = top >= MIN_CATEGORY && top - second >= MIN_MARGIN ? best : 'unknown';
+  return { id, label: CATEGORIES[id], confidence: id === 'unknown' ? 0 : top / total, scores };
+}
+
+// Category rules: { score, confidence, factors, warnings } from the histogram
+const RULES = {
+  produce(hist) {
+    const bright = hist.warm - hist.brown;
+    const dull = hist.saturation < 0.3 ? (0.3 - hist.saturation) / 0.3 : 0;
+    return {
+      score: clamp01(0.5 + hist.green * 0.35 + bright * 0.2 - hist.brown * 0.45 - dull * 0.2),
+      confidence: clamp01(hist.colourful * 1.5),
+      factors: [
+        { label: 'Leafy green', value: pct(hist.green), effect: hist.green > 0.3 ? 'pro' : 'info' },
+        { label: 'Bright fruit colours', value: pct(bright), effect: bright > 0.3 ? 'pro' : 'info' },
+        { label: 'Brown / bruised areas', value: pct(hist.brown), effect: hist.brown > 0.15 ? 'con' : 'info' },
+        { label: 'Colour vividness', value: pct(hist.saturation), effect: dull > 0 ? 'con' : 'pro' },
+      ],
+      warnings: [],
+    };
+  },
+  // Colour says little about what's inside a package; keep the score near neutral
+  packaged(hist) {
+    return {
+      score: clamp01(0.5 - hist.loud * 0.25 + hist.green * 0.1),
+      confidence: 0.45,
+      factors: [
+        { label: 'Saturated red / yellow packaging', value: pct(hist.loud), effect: hist.loud > 0.25 ? 'con' : 'info' },
+        { label: 'Print density', value: pct(clamp01(hist.edges * 8)), effect: 'info' },
+      ],
+      warnings: ['Packaged product: scan the barcode or nutrition label for a reliable score'],
+    };
+  },
+  // Clear (water-like) scores high, dark (cola, coffee) low, coloured (juice, soda) in between
+  beverage(hist) {
+    const clear = clamp01((hist.neutral - hist.colourful) * 1.5);
+    const darkLiquid = clamp01((hist.dark + hist.brown * hist.colourful) * 1.5);
+    const coloured = clamp01(1 - clear - darkLiquid);
+    return {
+      score: clamp01(clear * 0.85 + darkLiquid * 0.2 + coloured * 0.4),
+      confidence: 0.6,
+      factors: [
+        { label: 'Clear liquid', value: pct(clear), effect: clear > 0.5 ? 'pro' : 'info' },
+        { label: 'Dark liquid', value: pct(darkLiquid), effect: darkLiquid > 0.4 ? 'con' : 'info' },
+        { label: 'Coloured liquid', value: pct(coloured), effect: coloured > 0.5 ? 'con' : 'info' },
+      ],
+      warnings: [],
+    };
+  },
+};
+
+export const hsvScorer = {
+  id: 'hsv',
+  label: 'Scene classifier (HSV)',
+  description: 'Classifies fresh produce, packaged products and beverages from HSV histograms, then scores each with its own rules',
+  score(imageData, context) {
+    const hist = hsvHistogram(imageData, context.gains);
+    const category = classifyScene(hist);
+    const { id, label, confidence } = category;
+    const categoryFactor = { label: 'Category', value: `${label}${confidence ? ` (${pct(confidence)})` : ''}`, effect: 'info' };
+    if (id === 'unknown') {
+      const fallback = greenScorer.score(imageData, context);
+      return {
+        ...fallback,
+        confidence: fallback.confidence * 0.7,
+        factors: [categoryFactor, ...fallback.factors],
+        warnings: ['Scene not recognized; using the green heuristic'],
+        category: { id, label, confidence },
+      };
+    }
+    const result = RULES[id](hist);
+    return {
+      ...result,
+      confidence: result.confidence * (0.5 + confidence * 0.5),
+      factors: [categoryFactor, ...result.factors],
+      category: { id, label, confidence },
+    };
+  },
+};
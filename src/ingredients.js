@@ -0,0 +1,172 @@
+// Ingredient list parsing: OCR text -> ordered ingredients, additives (E-numbers and common
+// names) and added sugars, turned into concrete pros / cons and a score penalty.
+
+// code -> [short name, concern ('high' | 'moderate' | 'low'), other names found in ingredient lists]
+export const ADDITIVES = {
+  E102: ['tartrazine', 'high', ['tartrazine']],
+  E104: ['quinoline yellow', 'high', ['quinoline yellow']],
+  E110: ['sunset yellow', 'high', ['sunset yellow']],
+  E122: ['carmoisine', 'high', ['carmoisine', 'azorubine']],
+  E124: ['ponceau 4R', 'high', ['ponceau 4r', 'ponceau']],
+  E129: ['allura red', 'high', ['allura red']],
+  E150d: ['sulphite ammonia caramel', 'moderate', ['sulphite ammonia caramel']],
+  E171: ['titanium dioxide', 'high', ['titanium dioxide']],
+  E211: ['sodium benzoate', 'moderate', ['sodium benzoate']],
+  E220: ['sulphur dioxide', 'moderate', ['sulphur dioxide', 'sulfur dioxide']],
+  E250: ['sodium nitrite', 'high', ['sodium nitrite']],
+  E251: ['sodium nitrate', 'high', ['sodium nitrate']],
+  E252: ['potassium nitrate', 'high', ['potassium nitrate']],
+  E282: ['calcium propionate', 'low', ['calcium propionate']],
+  E320: ['BHA', 'high', ['butylated hydroxyanisole', 'bha']],
+  E321: ['BHT', 'high', ['butylated hydroxytoluene', 'bht']],
+  E338: ['phosphoric acid', 'moderate', ['phosphoric acid']],
+  E407: ['carrageenan', 'moderate', ['carrageenan']],
+  E433: ['polysorbate 80', 'moderate', ['polysorbate 80']],
+  E450: ['diphosphates', 'moderate', ['diphosphates', 'disodium diphosphate']],
+  E466: ['carboxymethylcellulose', 'moderate', ['carboxymethylcellulose', 'cellulose gum']],
+  E471: ['mono- and diglycerides', 'low', ['mono- and diglycerides of fatty acids', 'mono and diglycerides']],
+  E621: ['MSG', 'moderate', ['monosodium glutamate', 'msg']],
+  E627: ['disodium guanylate', 'moderate', ['disodium guanylate']],
+  E631: ['disodium inosinate', 'moderate', ['disodium inosinate']],
+  E950: ['acesulfame K', 'moderate', ['acesulfame k', 'acesulfame potassium']],
+  E951: ['aspartame', 'high', ['aspartame']],
+  E954: ['saccharin', 'moderate', ['saccharin']],
+  E955: ['sucralose', 'moderate', ['sucralose']],
+};
+
+// Names under which added sugar shows up in ingredient lists
+export const ADDED_SUGARS = [
+  'sugar', 'cane sugar', 'brown sugar', 'invert sugar', 'sucrose', 'glucose', 'fructose', 'dextrose',
+  'glucose syrup', 'glucose-fructose syrup', 'fructose-glucose syrup', 'high fructose corn syrup', 'corn syrup',
+  'rice syrup', 'agave syrup', 'maple syrup', 'golden syrup', 'honey', 'molasses', 'malt extract', 'maltose',
+];
+
+// Other ingredients worth a con: [pattern, message, penalty]
+const FLAGS = [
+  [/\b(?:partially\s+)?hydrogenated\b/, 'Contains hydrogenated fat', 1],
+  [/\bpalm\s+(?:oil|fat|kernel)/, 'Contains palm oil', 0.5],
+  [/\bartificial\s+(?:flavou?r|sweetener|colou?r)/, 'Artificial flavours / colours listed', 0.5],
+];
+
+const CONCERN_PENALTY = { high: 1, moderate: 0.5, low: 0 };
+const MAX_PENALTY = 4;
+
+const ORDINALS = ['1st', '2nd', '3rd'];
+const ordinal = (n) => ORDINALS[n - 1] || `${n}th`;
+
+// Undo common OCR damage: hyphenated line breaks, line breaks, stray spacing
+export function cleanOcrText(text) {
+  return String(text || '')
+    .replace(/-\s*\n\s*/g, '')
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// The ingredient section: after "Ingredients:" up to the allergen / nutrition / storage notes
+export function extractIngredientSection(text) {
+  const clean = cleanOcrText(text);
+  const start = /\bingr[eé]dients?\s*[:.-]?\s*/i.exec(clean);
+  let section = start ? clean.slice(start.index + start[0].length) : clean;
+  const end = /\b(?:allergy advice|allergens?\s*:|may contain|contains:|nutrition(?:al)? (?:information|facts)|store in|best before|keep refrigerated)/i.exec(section);
+  if (end) section = section.slice(0, end.index);
+  return section.trim().replace(/[.\s]+$/, '');
+}
+
+// Split on commas / semicolons outside brackets; sub-ingredients stay attached to their parent
+export function splitIngredients(section) {
+  const out = [];
+  let depth = 0;
+  let cur = '';
+  for (const ch of section) {
+    if ('([{'.includes(ch)) depth++;
+    if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+    if ((ch === ',' || ch === ';') && depth === 0) {
+      if (cur.trim()) out.push(cur.trim());
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+}
+
+// Ingredient name without percentages or bracketed sub-ingredients, lower-cased
+const baseName = (item) => item.replace(/[([{].*$/, '').replace(/\d+(?:[.,]\d+)?\s*%/g, '').trim().toLowerCase();
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const wordRe = (name) => new RegExp(`(?:^|[^a-z])${escapeRe(name)}(?:$|[^a-z])`, 'i');
+
+// E-numbers ("E 621", "e-150d", "INS 621") and additive names anywhere in the text
+export function findAdditives(text) {
+  const found = new Set();
+  const re = /\b(?:E|INS)\s?-?(\d{3,4})([a-f])?\b/gi;
+  let m;
+  while ((m = re.exec(text))) {
+    const code = `E${m[1]}${m[2] ? m[2].toLowerCase() : ''}`;
+    // Lettered codes with their own entry (E150d) stay; other suffixes fall back to the base number
+    found.add(ADDITIVES[code] || !ADDITIVES[`E${m[1]}`] ? code : `E${m[1]}`);
+  }
+  for (const [code, [, , names]] of Object.entries(ADDITIVES)) {
+    if (!found.has(code) && names.some(n => wordRe(n).test(text))) found.add(code);
+  }
+  return [...found].map(code => {
+    const entry = ADDITIVES[code];
+    return entry ? { code, name: entry[0], concern: entry[1] } : { code, name: '', concern: 'low' };
+  });
+}
+
+// 1-based positions of ingredients that are added sugars
+export function findAddedSugars(items) {
+  const positions = [];
+  items.forEach((item, i) => {
+    const name = baseName(item);
+    if (/\bfree\b|\bno added\b/.test(name)) return;
+    if (ADDED_SUGARS.some(s => wordRe(s).test(name))) positions.push(i + 1);
+  });
+  return positions;
+}
+
+/**
+ * analyzeIngredients(text) -> { ingredients, additives, sugarPositions, pros, cons, penalty }
+ * penalty is on the 1..10 scale; applyAdjustments (adjustments.js) takes it off the score.
+ */
+export function analyzeIngredients(text) {
+  const section = extractIngredientSection(text);
+  const items = splitIngredients(section);
+  const ingredients = items.map(baseName).filter(Boolean);
+  const additives = findAdditives(section);
+  const sugarPositions = findAddedSugars(items);
+  const lower = section.toLowerCase();
+  const pros = [];
+  const cons = [];
+  let penalty = 0;
+
+  for (const a of additives) {
+    if (a.concern === 'low') continue;
+    cons.push(`Contains ${a.code}${a.name ? ` (${a.name})` : ''}`);
+    penalty += CONCERN_PENALTY[a.concern];
+  }
+  if (sugarPositions.length) {
+    const first = sugarPositions[0];
+    if (first <= 3) {
+      cons.unshift(`Added sugar listed ${ordinal(first)}`);
+      penalty += first === 1 ? 2 : 1;
+    }
+    if (sugarPositions.length >= 3) {
+      cons.push(`${sugarPositions.length} kinds of added sugar`);
+      penalty += 0.5;
+    }
+  }
+  for (const [re, message, p] of FLAGS) {
+    if (re.test(lower)) { cons.push(message); penalty += p; }
+  }
+
+  if (ingredients.length && ingredients.length <= 5) pros.push(`Short ingredient list (${ingredients.length})`);
+  if (ingredients.length > 15) cons.push(`Long ingredient list (${ingredients.length})`);
+  if (ingredients.length && !additives.length) pros.push('No additives listed');
+  if (ingredients.length && !sugarPositions.length) pros.push('No added sugar listed');
+
+  return { ingredients, additives, sugarPositions, pros, cons, penalty: Math.min(MAX_PENALTY, Math.round(penalty)) };
+}
@@ -0,0 +1,153 @@
+// Nutri-Score (2017 algorithm) for nutriments per 100 g / 100 ml.
+// Input keys match /api/product nutriments: energy_kj | energy_kcal, sugars,
+// saturated_fat, fat, sodium | salt (g), fiber, proteins, fruits_vegetables_nuts (%).
+
+// Points = number of thresholds strictly exceeded
+const pointsFor = (value, thresholds) => thresholds.filter(t => value > t).length;
+
+const T = {
+  energy: [335, 670, 1005, 1340, 1675, 2010, 2345, 2680, 3015, 3350], // kJ
+  sugars: [4.5, 9, 13.5, 18, 22.5, 27, 31, 36, 40, 45],
+  saturated_fat: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+  sodium: [90, 180, 270, 360, 450, 540, 630, 720, 810, 900], // mg
+  fiber: [0.9, 1.9, 2.8, 3.7, 4.7],
+  proteins: [1.6, 3.2, 4.8, 6.4, 8.0],
+  // beverages
+  bev_energy: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270],
+  bev_sugars: [0, 1.5, 3, 4.5, 6, 7.5, 9, 10.5, 12, 13.5],
+  // added fats: saturated fat as % of total fat
+  fat_ratio: [10, 16, 22, 28, 34, 40, 46, 52, 58, 64],
+};
+
+// Added fats score saturated fat relative to total fat (>= threshold, unlike the others)
+const fatRatioPoints = (saturated, fat) => {
+  const ratio = (saturated / fat) * 100;
+  return { value: saturated, ratio, points: T.fat_ratio.filter(t => ratio >= t).length };
+};
+
+const fvnPoints = (pct, beverage) => {
+  if (pct > 80) return beverage ? 10 : 5;
+  if (pct > 60) return beverage ? 4 : 2;
+  if (pct > 40) return beverage ? 2 : 1;
+  return 0;
+};
+
+// Grade bands as [grade, lowest points, highest points]; lo/hi bound the 1..10 mapping
+const SOLID_BANDS = [['A', -15, -1], ['B', 0, 2], ['C', 3, 10], ['D', 11, 18], ['E', 19, 40]];
+const BEVERAGE_BANDS = [['B', -15, 1], ['C', 2, 5], ['D', 6, 9], ['E', 10, 40]];
+const GRADE_BASE = { A: 9, B: 7, C: 5, D: 3, E: 1 };
+
+export const NUTRISCORE_KINDS = ['food', 'beverage', 'water', 'cheese', 'fat'];
+
+// Classify from OFF category tags (e.g. 'beverages', 'cheeses', 'vegetable-oils')
+export function detectKind(categories = []) {
+  const has = (...tags) => tags.some(t => categories.includes(t));
+  if (has('waters', 'spring-waters', 'mineral-waters')) return 'water';
+  if (has('cheeses')) return 'cheese';
+  if (has('fats', 'vegetable-oils', 'olive-oils', 'butters', 'margarines')) return 'fat';
+  if (has('beverages') && !has('dairies', 'milks')) return 'beverage';
+  return 'food';
+}
+
+const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : undefined);
+
+// Fill energy_kj / sodium from their alternates; returns null if a required nutrient is missing
+function prepare(n) {
+  const energy = num(n.energy_kj) ?? (num(n.energy_kcal) !== undefined ? n.energy_kcal * 4.184 : undefined);
+  const sodiumG = num(n.sodium) ?? (num(n.salt) !== undefined ? n.salt / 2.5 : undefined);
+  if (energy === undefined || sodiumG === undefined || num(n.sugars) === undefined || num(n.saturated_fat) === undefined) return null;
+  return {
+    energy,
+    sugars: n.sugars,
+    saturated_fat: n.saturated_fat,
+    fat: num(n.fat),
+    sodium: sodiumG * 1000,
+    fiber: num(n.fiber) ?? 0,
+    proteins: num(n.proteins) ?? 0,
+    fruits_vegetables_nuts: num(n.fruits_vegetables_nuts) ?? 0,
+  };
+}
+
+// Map points to 1..10: grade picks the pair (A=9-10 ... E=1-2), band position picks within it
+function toTen(grade, points, bands) {
+  const band = bands.find(b => b[0] === grade);
+  const base = GRADE_BASE[grade];
+  if (!band) return base + 1;
+  const mid = (band[1] + band[2]) / 2;
+  return points <= mid ? base + 1 : base;
+}
+
+/**
+ * Compute Nutri-Score. Returns null when energy, sugars, saturated fat or sodium/salt is unknown.
+ * { grade, points, score, kind, negative: {key:{value,points}}, positive: {...}, proteinCounted, completeness }
+ */
+export function computeNutriScore(nutriments, { categories, kind } = {}) {
+  if (!nutriments) return null;
+  const k = kind || detectKind(categories);
+  if (k === 'water') {
+    return { grade: 'A', points: 0, score: 10, kind: k, negative: {}, positive: {}, proteinCounted: false, completeness: 1 };
+  }
+  const v = prepare(nutriments);
+  if (!v) return null;
+  const beverage = k === 'beverage';
+
+  const negative = {
+    energy: { value: v.energy, points: pointsFor(v.energy, beverage ? T.bev_energy : T.energy) },
+    sugars: { value: v.sugars, points: pointsFor(v.sugars, beverage ? T.bev_sugars : T.sugars) },
+    saturated_fat: k === 'fat' && v.fat
+      ? fatRatioPoints(v.saturated_fat, v.fat)
+      : { value: v.saturated_fat, points: pointsFor(v.saturated_fat, T.saturated_fat) },
+    sodium: { value: v.sodium, points: pointsFor(v.sodium, T.sodium) },
+  };
+  const positive = {
+    fruits_vegetables_nuts: { value: v.fruits_vegetables_nuts, points: fvnPoints(v.fruits_vegetables_nuts, beverage) },
+    fiber: { value: v.fiber, points: pointsFor(v.fiber, T.fiber) },
+    proteins: { value: v.proteins, points: pointsFor(v.proteins, T.proteins) },
+  };
+
+  const N = Object.values(negative).reduce((a, c) => a + c.points, 0);
+  const fvnMax = beverage ? 10 : 5;
+  // Protein only offsets a high negative score for cheese or when fruit/veg content is maxed
+  const proteinCounted = N < 11 || k === 'cheese' || positive.fruits_vegetables_nuts.points >= fvnMax;
+  const P = positive.fruits_vegetables_nuts.points + positive.fiber.points + (proteinCounted ? positive.proteins.points : 0);
+  const points = N - P;
+
+  const bands = beverage ? BEVERAGE_BANDS : SOLID_BANDS;
+  const grade = (bands.find(b => points <= b[2]) || bands[bands.length - 1])[0];
+  const known = ['energy_kj', 'sugars', 'saturated_fat', 'sodium', 'fiber', 'proteins', 'fruits_vegetables_nuts']
+    .filter(key => num(nutriments[key]) !== undefined || (key === 'energy_kj' && num(nutriments.energy_kcal) !== undefined) || (key === 'sodium' && num(nutriments.salt) !== undefined)).length;
+
+  return { grade, points, score: toTen(grade, points, bands), kind: k, negative, positive, proteinCounted, completeness: known / 7 };
+}
+
+const LABELS = {
+  energy: ['Low energy density', 'High energy density', 'kJ'],
+  sugars: ['Low sugars', 'High sugars', 'g'],
+  saturated_fat: ['Low saturated fat', 'High saturated fat', 'g'],
+  sodium: ['Low sodium', 'High sodium', 'mg'],
+  fiber: ['Good source of fibre', null, 'g'],
+  proteins: ['Good source of protein', null, 'g'],
+  fruits_vegetables_nuts: ['Rich in fruit / veg / nuts', null, '%'],
+};
+
+const fmt = (key, value) => `${key === 'energy' || key === 'sodium' ? Math.round(value) : +value.toFixed(1)} ${LABELS[key][2]}`;
+
+// Pros/cons from the point breakdown (thresholds, not the overall grade)
+export function describeNutriScore(ns) {
+  const pros = [];
+  const cons = [];
+  if (!ns) return { pros, cons };
+  if (ns.kind === 'water') return { pros: ['Water — Nutri-Score A'], cons };
+  const poor = ns.grade === 'D' || ns.grade === 'E';
+  (poor ? cons : pros).push(`Nutri-Score ${ns.grade}`);
+  for (const [key, { value, points, ratio }] of Object.entries(ns.negative)) {
+    const shown = ratio !== undefined ? `${Math.round(ratio)}% of fat` : fmt(key, value);
+    if (points >= 6) cons.push(`${LABELS[key][1]} (${shown})`);
+    else if (points <= 1) pros.push(`${LABELS[key][0]} (${shown})`);
+  }
+  for (const [key, { value, points }] of Object.entries(ns.positive)) {
+    const max = key === 'fruits_vegetables_nuts' ? (ns.kind === 'beverage' ? 10 : 5) : 5;
+    if (points >= Math.ceil(max / 2)) pros.push(`${LABELS[key][0]} (${fmt(key, value)})`);
+  }
+  return { pros, cons };
+}
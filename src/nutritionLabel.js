@@ -0,0 +1,157 @@
+// Nutrition facts panel parser: OCR text -> nutriments per 100 g / 100 ml (same keys as
+// /api/product), for EU "per 100 g" tables and US "Nutrition Facts" per-serving panels.
+
+// [key, label pattern]; order matters: specific rows before the generic ones they contain
+const ROWS = [
+  ['saturated_fat', /saturate|sat\.?\s*fat|gesättigt/i],
+  ['trans_fat', /\btrans\b/i],
+  ['sugars', /\bsugars?\b|zucker|sucres/i],
+  ['fat', /\bfat\b|\bfett\b|mati[eè]res grasses|lipides/i],
+  ['carbohydrates', /carbohydrate|\bcarbs?\b|kohlenhydrate|glucides/i],
+  ['fiber', /fib(?:re|er)|ballaststoffe/i],
+  ['proteins', /protein|eiwei(?:ß|ss)|prot[eé]ines/i],
+  ['salt', /\bsalt\b|\bsalz\b|\bsel\b/i],
+  ['sodium', /\bsodium\b|\bnatrium\b/i],
+  ['energy', /energy|energie|[eé]nergie|calories|\bkcal\b|\bkj\b/i],
+];
+
+// Rows that are sub-lines of others or not part of the nutriment object
+const SKIP = /added sugars|includes|cholesterol|polyols|starch|st[äa]rke|mono-?unsaturat|poly-?unsaturat|calories from fat/i;
+
+const MASS_TO_G = { g: 1, mg: 0.001, µg: 0.000001, mcg: 0.000001, ug: 0.000001 };
+const KCAL_TO_KJ = 4.184;
+
+const round = (v, d = 2) => Math.round(v * 10 ** d) / 10 ** d;
+
+// Undo OCR digit confusions inside numbers: "O.5g" -> "0.5g", "1O g" -> "10 g", "l2" -> "12"
+export function fixOcrDigits(line) {
+  return line
+    .replace(/(?<=\d)[oO](?=[\d.,\s]|[gkm%]|$)/g, '0')
+    .replace(/(?<![a-zA-Z])[oO](?=[.,]\d)/g, '0')
+    .replace(/(?<![a-zA-Z])[lI|](?=\d)/g, '1');
+}
+
+// Numbers with optional units; percentages (daily values, %RI) are dropped
+export function readValues(line) {
+  const out = [];
+  const re = /(<\s*)?(\d+(?:[.,]\d+)?)\s*(kj|kcal|mg|µg|mcg|ug|g|%)?/gi;
+  let m;
+  while ((m = re.exec(line))) {
+    const unit = (m[3] || '').toLowerCase();
+    if (unit === '%') continue;
+    out.push({ value: parseFloat(m[2].replace(',', '.')), unit, lessThan: !!m[1] });
+  }
+  return out;
+}
+
+// "per 100 g" or a bare "100g" column header means EU, then the US markers decide. The
+// serving-size line is left out of the bare check: a US serving can be exactly "(100g)".
+export function detectLayout(text) {
+  const t = String(text || '');
+  if (/(?:per|pro|pour)\s*100\s*(?:g|ml)\b/i.test(t)) return 'eu';
+  if (t.split('\n').some(line => /\b100\s*(?:g|ml)\b/i.test(line) && !/serving\s*size/i.test(line))) return 'eu';
+  if (/nutrition\s+facts|serving\s+size|servings\s+per/i.test(t)) return 'us';
+  return 'eu';
+}
+
+// US serving size in grams / ml: "Serving size 2/3 cup (55g)" -> { value: 55, unit: 'g' }
+export function parseServingSize(text) {
+  const m = /serving\s*size[^\n]*?(\d+(?:[.,]\d+)?)\s*(g|ml)\b/i.exec(text);
+  return m ? { value: parseFloat(m[1].replace(',', '.')), unit: m[2].toLowerCase() } : null;
+}
+
+// First value of a row that is a mass, converted to grams; bare numbers are taken as defaultUnit
+function massOf(values, defaultUnit) {
+  const v = values.find(x => x.unit !== 'kj' && x.unit !== 'kcal');
+  if (!v) return undefined;
+  const factor = MASS_TO_G[v.unit || defaultUnit];
+  return factor === undefined ? undefined : v.value * factor;
+}
+
+/**
+ * parseNutritionLabel(text) -> { nutriments, layout, basis, serving, warnings, rows }
+ * nutriments are per 100 g (or 100 ml) when the panel allows it; basis says what they are.
+ * rows maps each recognized key to the OCR line it came from, for review.
+ */
+export function parseNutritionLabel(text) {
+  const layout = detectLayout(text);
+  const serving = layout === 'us' ? parseServingSize(text) : null;
+  const raw = {};
+  const rows = {};
+  const warnings = [];
+  let pendingEnergy = false; // EU "Energy" header row with the kJ / kcal values on the following line(s)
+
+  for (const rawLine of String(text || '').split(/\n+/)) {
+    const line = fixOcrDigits(rawLine.trim());
+    if (!line) continue;
+    if (SKIP.test(line)) { pendingEnergy = false; continue; }
+    const row = ROWS.find(([, re]) => re.test(line));
+    const values = readValues(line.replace(/\b100\s*(?:g|ml)\b/gi, ''));
+    if (!row) {
+      // "kcal 378" continuation of an energy header
+      if (pendingEnergy && values.some(v => v.unit === 'kj' || v.unit === 'kcal')) addEnergy(raw, values, layout);
+      continue;
+    }
+    const [key] = row;
+    pendingEnergy = key === 'energy';
+    if (!values.length) continue;
+    if (key === 'energy') {
+      addEnergy(raw, values, layout);
+      rows.energy = rows.energy || line;
+      continue;
+    }
+    if (key === 'trans_fat' || raw[key] !== undefined) continue;
+    const grams = massOf(values, layout === 'us' && key === 'sodium' ? 'mg' : 'g');
+    if (grams === undefined) continue;
+    raw[key] = grams;
+    rows[key] = line;
+    if (values[0].lessThan) warnings.push(`${key.replace(/_/g, ' ')} is given as "less than"; using the bound`);
+  }
+
+  // Per-serving panels are scaled to 100 g when the serving weight is printed
+  let basis = layout === 'us' ? 'per serving' : 'per 100 g';
+  let scale = 1;
+  if (layout === 'us') {
+    if (serving && serving.value > 0) {
+      scale = 100 / serving.value;
+      basis = serving.unit === 'ml' ? 'per 100 ml' : 'per 100 g';
+    } else {
+      warnings.push('Serving weight not found; values are per serving, not per 100 g');
+    }
+  } else if (/per\s*100\s*ml|\b100\s*ml\b/i.test(text)) {
+    basis = 'per 100 ml';
+  }
+
+  const nutriments = {};
+  for (const [k, v] of Object.entries(raw)) {
+    const scaled = v * scale;
+    nutriments[k] = k.startsWith('energy') ? Math.round(scaled) : round(scaled, scaled < 1 ? 3 : 1);
+  }
+
+  // Fill the unit pairs from each other
+  if (nutriments.energy_kj === undefined && nutriments.energy_kcal !== undefined) nutriments.energy_kj = Math.round(nutriments.energy_kcal * KCAL_TO_KJ);
+  if (nutriments.energy_kcal === undefined && nutriments.energy_kj !== undefined) nutriments.energy_kcal = Math.round(nutriments.energy_kj / KCAL_TO_KJ);
+  if (nutriments.salt === undefined && nutriments.sodium !== undefined) nutriments.salt = round(nutriments.sodium * 2.5, 3);
+  if (nutriments.sodium === undefined && nutriments.salt !== undefined) nutriments.sodium = round(nutriments.salt / 2.5, 3);
+
+  // Per-100 g sanity checks catch dropped decimal points and column mix-ups
+  if (basis !== 'per serving') {
+    for (const k of ['fat', 'saturated_fat', 'carbohydrates', 'sugars', 'fiber', 'proteins', 'salt']) {
+      if (nutriments[k] > 100) warnings.push(`${k.replace(/_/g, ' ')} over 100 g — check for a missing decimal point`);
+    }
+    if (nutriments.energy_kj > 3800) warnings.push('Energy above 3800 kJ per 100 g — check the value');
+  }
+  if (nutriments.saturated_fat > nutriments.fat) warnings.push('Saturated fat exceeds total fat');
+  if (nutriments.sugars > nutriments.carbohydrates) warnings.push('Sugars exceed carbohydrates');
+
+  return { nutriments, layout, basis, serving, warnings, rows };
+}
+
+// kJ and kcal on one line ("1580 kJ / 378 kcal"); US "Calories 230" is kcal
+function addEnergy(raw, values, layout) {
+  const kj = values.find(v => v.unit === 'kj');
+  const kcal = values.find(v => v.unit === 'kcal');
+  if (kj && raw.energy_kj === undefined) raw.energy_kj = kj.value;
+  if (kcal && raw.energy_kcal === undefined) raw.energy_kcal = kcal.value;
+  if (!kj && !kcal && layout === 'us' && raw.energy_kcal === undefined) raw.energy_kcal = values[0].value;
+}
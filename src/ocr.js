@@ -0,0 +1,40 @@
+// On-device OCR (tesseract.js, English LSTM model).
+// The tesseract worker, wasm core and language data are copied from node_modules to /ocr/
+// by the build (see vite.config.js), so recognition never touches the network.
+
+const OCR_BASE = `${import.meta.env.BASE_URL}ocr`;
+
+let workerPromise = null;
+let progressListener = null;
+
+// Lazily create one shared worker; tesseract.js itself is only loaded on first use
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = import('tesseract.js').then(({ createWorker, OEM }) => createWorker('eng', OEM.LSTM_ONLY, {
+      workerPath: `${OCR_BASE}/worker.min.js`,
+      corePath: OCR_BASE,
+      langPath: OCR_BASE,
+      gzip: true,
+      logger: (m) => { if (progressListener) progressListener(m); },
+    })).catch((err) => {
+      workerPromise = null; // allow a retry
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * recognizeText(image, onProgress) -> { text, confidence }
+ * image: canvas / ImageBitmap / Blob. onProgress({ status, progress 0..1 }) covers model loading too.
+ */
+export async function recognizeText(image, onProgress) {
+  progressListener = onProgress || null;
+  try {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(image);
+    return { text: data.text || '', confidence: Math.round(data.confidence || 0) };
+  } finally {
+    progressListener = null;
+  }
+}
@@ -0,0 +1,55 @@
+// Page side of the offline analysis queue. Frames saved while offline sit in IndexedDB
+// (historyStore PENDING); src/sw.js replays them on Background Sync, or when asked to
+// through postMessage where sync isn't supported, and reports back with messages:
+// { type: 'analysis-merged', scanId, score, name } and { type: 'queue-replayed', merged, remaining, error }.
+
+export const SYNC_TAG = 'phs-analysis-queue';
+
+// navigator.serviceWorker.ready never settles without a registration; give up after a while
+const swReady = (ms = 3000) => {
+  if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+  return Promise.race([navigator.serviceWorker.ready, new Promise((resolve) => setTimeout(() => resolve(null), ms))]);
+};
+
+/**
+ * Ask for a replay once connectivity returns. Resolves 'sync' when Background Sync took it,
+ * 'manual' when the page has to trigger it (see replayNow), or 'none' without a service worker.
+ */
+export async function scheduleReplay() {
+  const reg = await swReady();
+  if (!reg) return 'none';
+  if ('sync' in reg) {
+    try {
+      await reg.sync.register(SYNC_TAG);
+      return 'sync';
+    } catch (err) {
+      console.warn('background sync unavailable', err);
+    }
+  }
+  return 'manual';
+}
+
+// Manual "retry now": the service worker runs the same replay as for a sync event
+export async function replayNow() {
+  const reg = await swReady();
+  if (!reg || !reg.active) return false;
+  reg.active.postMessage({ type: 'replay-queue' });
+  return true;
+}
+
+// Subscribe to queue messages from the service worker; returns an unsubscribe function
+export function onQueueMessage(handler) {
+  if (!('serviceWorker' in navigator)) return () => {};
+  const listener = (e) => {
+    if (e.data && (e.data.type === 'analysis-merged' || e.data.type === 'queue-replayed')) handler(e.data);
+  };
+  navigator.serviceWorker.addEventListener('message', listener);
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+}
+
+// Asked once, from the Save click that queues the first frame; call it before the handler's
+// first await, while the click's user activation still holds
+export function askNotificationPermission() {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'default') return;
+  Notification.requestPermission().catch(() => {});
+}
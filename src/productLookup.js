@@ -0,0 +1,32 @@
+// Client for /api/product/:barcode with a per-session cache (misses included,
+// so a barcode held in frame is only looked up once).
+
+const cache = new Map();
+
+export async function lookupProduct(barcode) {
+  const code = String(barcode || '').replace(/\D/g, '');
+  if (!code) return null;
+  if (cache.has(code)) return cache.get(code);
+  const resp = await fetch(`/api/product/${code}`);
+  if (resp.status === 404 || resp.status === 400) {
+    cache.set(code, null);
+    return null;
+  }
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  const data = await resp.json();
+  const product = data.product || null;
+  cache.set(code, product);
+  return product;
+}
+
+// Nutriment keys shown on the product card (per 100 g)
+export const NUTRIENT_LABELS = [
+  ['energy_kcal', 'Energy', 'kcal'],
+  ['fat', 'Fat', 'g'],
+  ['saturated_fat', 'Saturated fat', 'g'],
+  ['carbohydrates', 'Carbohydrates', 'g'],
+  ['sugars', 'Sugars', 'g'],
+  ['fiber', 'Fibre', 'g'],
+  ['proteins', 'Protein', 'g'],
+  ['salt', 'Salt', 'g'],
+];
@@ -1,95 +1,79 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
-import { BrowserMultiFormatReader } from '@zxing/browser';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
+import { lookupProduct, NUTRIENT_LABELS } from './productLookup.js';
+import { computeNutriScore, describeNutriScore, detectKind } from './nutriscore.js';
+import NutritionForm from './NutritionForm.jsx';
+import { loadProfile, saveProfile, checkProfile, isProfileEmpty } from './dietProfile.js';
+import { applyAdjustments } from './adjustments.js';
+import ProfilePanel from './ProfilePanel.jsx';
+import IngredientPanel from './IngredientPanel.jsx';
+import { analyzeIngredients } from './ingredients.js';
+import { recognizeText } from './ocr.js';
+import { parseNutritionLabel } from './nutritionLabel.js';
+import { loadCameraSettings, saveCameraSettings, videoConstraints, listCameras, trackCapabilities, setTorch, setZoom, focusAt } from './cameraSettings.js';
+import CameraPanel from './CameraPanel.jsx';
+import { captureBurst } from './burst.js';
+import { addScan, queueAnalysis, countPending } from './historyStore.js';
+import { scheduleReplay, replayNow, onQueueMessage, askNotificationPermission } from './offlineQueue.js';
+import HistoryView from './HistoryView.jsx';
+import { MAX_SLOTS, summarize } from './compare.js';
+import CompareView from './CompareView.jsx';
+import { getClientId, parseRetryAfter } from './clientId.js';
+import { dHash, createResultCache, createBarcodeWindow } from './resultCache.js';
+import { createAnalyzer, settleScore } from './analyzer.js';
+import { createBarcodeDecoder, productCodeOf } from './barcodeDecoder.js';
+import { loadScannerSettings, saveScannerSettings, createScanTracker, scanFeedback } from './scanner.js';
+import ScannerPanel from './ScannerPanel.jsx';
+import { RECORD_SIDE, createRecorder, loadRecording, replayRecording } from './recording.js';
+import ReplayView from './ReplayView.jsx';
+import BatchView from './BatchView.jsx';
+import { drawResultCard, cardToPng, shareCard } from './shareCard.js';
+import { onUpdateAvailable, applyUpdate } from './swUpdate.js';
+import { loadSettings, saveSettings, analyzerOptions } from './settings.js';
+import SettingsPanel from './SettingsPanel.jsx';
+import { getScorer } from './scorers.js';
+import { cameraKey, cardRect, calibrateFromVideo, loadCalibration, saveCalibration, clearCalibration, calibrationStatus } from './whiteBalance.js';
+import { createFramePipeline, workerSupported, fitSize } from './framePipeline.js';
+import { elementToVideo, roiToElement, rectFromPoints, rectAroundPoint, roiToPixels } from './roi.js';
 
 /* Product Health Scanner
  * Camera-based heuristic scoring UI (client-only)
  * Re-Engineered by Siddhant Wadhwani
  */
 
-// Helper: map 0..1 to 1..10
-const greenToScore = (g) => {
-  const s = Math.round(Math.min(1, Math.max(0, g)) * 9) + 1; // 1..10
-  return s;
-};
-
-// Robust median utility
-const median = (arr) => {
-  if (!arr.length) return 0;
-  const s = [...arr].sort((a,b)=>a-b);
-  return s[Math.floor(s.length/2)];
-};
-
-// Trimmed mean utility (exclude extremes for stability)
-const trimmedMean = (arr, trim=0.1) => {
-  if (!arr.length) return 0;
-  const s = [...arr].sort((a,b)=>a-b);
-  const k = Math.floor(s.length * trim);
-  const trimmed = s.slice(k, s.length - k || undefined);
-  return trimmed.reduce((a,c)=>a+c,0)/trimmed.length;
-};
-
-// Hook: image analysis & scoring
-function useHealthAnalyzer() {
-  const historyRef = useRef([]);
-  const brightnessHistoryRef = useRef([]);
-  const varianceHistoryRef = useRef([]);
-
-  const analyzeImageData = useCallback((imageData) => {
-    const { data, width, height } = imageData;
-    if (!width || !height) return null;
-    let rSum=0,gSum=0,bSum=0,count=0;
-    const stepPix = 4 * 4;
-    for (let i=0;i<data.length;i+=stepPix){
-      rSum+=data[i]; gSum+=data[i+1]; bSum+=data[i+2]; count++;}
-    const rAvg = rSum/count/255; const gAvg = gSum/count/255; const bAvg = bSum/count/255;
-    const luminance = 0.2126*rAvg + 0.7152*gAvg + 0.0722*bAvg;
-    // variance sample
-    let lSum=0,lSq=0,n=0;
-    for (let i=0;i<data.length;i+=stepPix*12){
-      const r=data[i]/255,g=data[i+1]/255,b=data[i+2]/255; const lum=0.2126*r+0.7152*g+0.0722*b; lSum+=lum; lSq+=lum*lum; n++;}
-    const meanL = lSum/Math.max(1,n);
-    const variance = Math.max(0,(lSq/Math.max(1,n)) - meanL*meanL);
-
-    brightnessHistoryRef.current.push(luminance);
-    if (brightnessHistoryRef.current.length>30) brightnessHistoryRef.current.shift();
-    varianceHistoryRef.current.push(variance);
-    if (varianceHistoryRef.current.length>30) varianceHistoryRef.current.shift();
-
-    const avgBrightness = trimmedMean(brightnessHistoryRef.current,0.15);
-    const avgVariance = trimmedMean(varianceHistoryRef.current,0.15);
-    let lightingState='OK';
-    if (avgBrightness < 0.12) lightingState='Too Dark'; else if (avgBrightness>0.85) lightingState='Too Bright'; else if (avgVariance<0.002) lightingState='Low Texture';
-
-    const greenDominance = gAvg/(rAvg+gAvg+bAvg+1e-6);
-    const balancePenalty = Math.abs(rAvg-bAvg)*0.15;
-    let rawScore = Math.max(0, greenDominance - balancePenalty);
-
-    const hist = historyRef.current; hist.push(rawScore); if (hist.length>25) hist.shift();
-    if (['Too Dark','Too Bright','Low Texture'].includes(lightingState) && hist.length){
-      const prevMed = median(hist); rawScore = prevMed*0.7 + rawScore*0.3; hist[hist.length-1]=rawScore; }
-
-    const sorted=[...hist].sort((a,b)=>a-b); const med=sorted[Math.floor(sorted.length/2)];
-    const iqr = sorted[Math.floor(sorted.length*0.75)] - sorted[Math.floor(sorted.length*0.25)] || 1e-6;
-    const filtered = hist.filter(v=> v>= med-1.5*iqr && v<= med+1.5*iqr);
-    const smoothed = median(filtered.length?filtered:hist);
-    const mapped = greenToScore(smoothed);
-
-    const neutral = 1/3;
-    const dominanceComponent = Math.min(1, Math.abs(greenDominance-neutral)*2.2);
-    const chroma = Math.sqrt(((rAvg-gAvg)**2 + (gAvg-bAvg)**2 + (rAvg-bAvg)**2)/3);
-    const chromaComponent = Math.min(1, chroma*1.8);
-    const stability = 1 - (sorted[sorted.length-1]-sorted[0]);
-    const stabilityComponent = Math.max(0, Math.min(1, stability));
-    let conf = dominanceComponent*0.45 + chromaComponent*0.25 + stabilityComponent*0.30;
-    if (hist.length>=10) conf = Math.min(1, conf+0.1);
-    if (lightingState!=='OK') conf*=0.7; if (avgVariance<0.002) conf*=0.75; conf = Math.max(0.2, Math.min(1, conf));
-
-    const warnings=[]; if (lightingState==='Too Dark') warnings.push('Increase lighting'); if (lightingState==='Too Bright') warnings.push('Reduce glare'); if (lightingState==='Low Texture') warnings.push('Move closer / adjust focus');
-
-    return { mappedScore: mapped, conf, lightingState, warnings };
-  }, []);
+// Read an NDJSON response body line by line, handing each parsed event to onEvent
+async function readNdjson(resp, onEvent) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buf += decoder.decode(value || new Uint8Array(), { stream: !done });
+    let i;
+    while ((i = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, i).trim();
+      buf = buf.slice(i + 1);
+      if (line) onEvent(JSON.parse(line));
+    }
+    if (done) break;
+  }
+  if (buf.trim()) onEvent(JSON.parse(buf));
+}
 
-  return { analyzeImageData };
+// Scorer factor colours by effect
+const FACTOR_CLASS = { pro: 'text-emerald-300', con: 'text-amber-300', info: 'opacity-70' };
+
+// Button label after shareCard resolves
+const SHARE_STATUS = { shared: 'Shared', copied: 'Copied', downloaded: 'Downloaded', cancelled: '' };
+const SHARE_PREPARE_MS = 600; // the result has to hold this long before its share card is encoded
+
+// Hook: image analysis & scoring (main-thread instance for uploads and the no-worker fallback)
+function useHealthAnalyzer() {
+  const analyzerRef = useRef(null);
+  if (!analyzerRef.current) analyzerRef.current = createAnalyzer();
+  const analyzeImageData = useCallback((imageData) => analyzerRef.current.analyzeImageData(imageData), []);
+  const resetAnalyzer = useCallback(() => analyzerRef.current.reset(), []);
+  const configureAnalyzer = useCallback((options) => analyzerRef.current.configure(options), []);
+  return { analyzeImageData, resetAnalyzer, configureAnalyzer };
 }
 
 export default function App() {
@@ -102,6 +86,7 @@ export default function App() {
   const [cons, setCons] = useState([]);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [confidence, setConfidence] = useState(0);
+  const [scoring, setScoring] = useState(null); // { scorer, category, factors } behind the visual score; null when another source scores
   const [voiceEnabled, setVoiceEnabled] = useState(true);
   const [userActivatedAudio, setUserActivatedAudio] = useState(false);
   const [lighting, setLighting] = useState('');
@@ -109,20 +94,95 @@ export default function App() {
   const rafRef = useRef(null);
   const stableRef = useRef(null); // last stable spoken score
   const consecutiveStableRef = useRef(0);
-  const barcodeReaderRef = useRef(null);
+  const decoderRef = useRef(null); // main-thread barcode decoder (uploads, no-worker fallback)
+  const pipelineRef = useRef(null); // frame worker; null when Worker/OffscreenCanvas are unavailable
+  const analysisCanvasRef = useRef(null); // downscaled frame for the fallback path
+  const frameResultRef = useRef(null); // latest applyFrameResult for the worker callback
+  const adjustRef = useRef(null); // latest withAdjustments, for the memoized API call's result handlers
+  const [frameStats, setFrameStats] = useState(null); // { timings, dropped, worker }
+  const [roi, setRoi] = useState(null); // normalized { x, y, w, h } on the video, null = full frame
+  const roiDragRef = useRef(null); // { start, current } normalized points while dragging
+  const [roiDraft, setRoiDraft] = useState(null); // rectangle being dragged
+  const [viewSize, setViewSize] = useState(null); // rendered video element size, for the overlay
+  const [videoSize, setVideoSize] = useState(null); // intrinsic video size
   const [barcode, setBarcode] = useState('');
-  const { analyzeImageData } = useHealthAnalyzer();
+  const [scannerMode, setScannerMode] = useState(false); // decode-only at a faster rate; no colour analysis
+  const scannerModeRef = useRef(false); // read by the rAF loop
+  const [scannerSettings, setScannerSettings] = useState(loadScannerSettings); // { formats, tryHarder, windowMs, beep, vibrate, speak }
+  const [showScanner, setShowScanner] = useState(false);
+  const scanTrackerRef = useRef(null); // duplicate suppression + recent codes for this session
+  const [recentCodes, setRecentCodes] = useState([]);
+  const recorderRef = useRef(null); // session recorder while recording analyzer input
+  const [recordedFrames, setRecordedFrames] = useState(null); // frame count while recording, else null
+  const [replay, setReplay] = useState(null); // { name, recording, timeline } shown in ReplayView
+  const [replayError, setReplayError] = useState('');
+  const [batchFiles, setBatchFiles] = useState(null); // files for BatchView; [] opens it empty
+  const [product, setProduct] = useState(null); // resolved from /api/product/:barcode
+  const [productStatus, setProductStatus] = useState(''); // '', 'loading', 'found', 'not_found', 'error'
+  const captureRef = useRef(null); // latest captureAndAnalyze for the rAF loop
+  const captureBestRef = useRef(null); // latest captureBest for the keyboard shortcut
+  const snapshotRef = useRef(null); // latest takeSnapshot (current ROI / frozen frame) for the keyboard shortcut
+  const [manualNutrition, setManualNutrition] = useState(null); // { nutriments, kind } entered by the user
+  const [modelNutriments, setModelNutriments] = useState(null); // nutriments reported by /api/analyze
+  const [showNutritionForm, setShowNutritionForm] = useState(false);
+  const [profile, setProfile] = useState(loadProfile);
+  const [showProfile, setShowProfile] = useState(false);
+  const [showIngredients, setShowIngredients] = useState(false);
+  const [ingredientRead, setIngredientRead] = useState(null); // { text, confidence, analysis, barcode } from OCR
+  const [ocrStatus, setOcrStatus] = useState(''); // '', 'loading', 'reading', 'done', 'error'
+  const [ocrProgress, setOcrProgress] = useState(0);
+  const [ocrTarget, setOcrTarget] = useState(''); // panel the current / last OCR run belongs to: 'ingredients' | 'nutrition'
+  const [labelRead, setLabelRead] = useState(null); // parsed nutrition panel awaiting review in the form
+  const [uploadMode, setUploadMode] = useState('colour'); // what an uploaded image is used for
+  const [cameraSettings, setCameraSettings] = useState(loadCameraSettings); // { deviceId, resolution, torch, zoom }
+  const cameraSettingsRef = useRef(cameraSettings); // read by startCamera, which mount-time handlers hold on to
+  const trackRef = useRef(null); // running video track
+  const [cameraCaps, setCameraCaps] = useState(null); // what trackRef supports (torch, zoom, focus)
+  const [cameras, setCameras] = useState([]);
+  const [showCamera, setShowCamera] = useState(false);
+  const [whiteBalance, setWhiteBalance] = useState(null); // { gains, ts } for the running camera, null = not calibrated
+  const [wbStep, setWbStep] = useState(''); // calibration flow: '' | 'aim' (card box shown) | 'measuring'
+  const [wbError, setWbError] = useState('');
+  const [frozen, setFrozen] = useState(null); // burst capture result on screen: { url, best, candidates }; live analysis paused
+  const frozenCanvasRef = useRef(null); // full-resolution frozen frame
+  const [capturing, setCapturing] = useState(0); // burst progress 0..1 while capturing, else 0
+  const alertSpeakingRef = useRef(false); // profile alert in progress; score announcements wait
+  const lastAlertRef = useRef('');
+  const [showHistory, setShowHistory] = useState(false);
+  const [saveStatus, setSaveStatus] = useState('');
+  const [shareStatus, setShareStatus] = useState('');
+  const shareCardRef = useRef(null); // { key, blob }: card PNG encoded before the Share click
+  const [pendingCount, setPendingCount] = useState(0); // saved scans waiting for /api/analyze
+  const [replayMode, setReplayMode] = useState(''); // 'sync' when Background Sync replays the queue, else manual
+  const [queueNotice, setQueueNotice] = useState(''); // last message from the queue replay
+  const [updateWorker, setUpdateWorker] = useState(null); // installed service worker waiting to take over
+  const [pins, setPins] = useState([]); // comparison slots (max MAX_SLOTS)
+  const [showCompare, setShowCompare] = useState(false);
+  const { analyzeImageData, resetAnalyzer, configureAnalyzer } = useHealthAnalyzer();
+  const [settings, setSettings] = useState(loadSettings); // tunable constants, see src/settings.js
+  const settingsRef = useRef(settings); // read by the rAF loop and the memoized API call
+  settingsRef.current = settings;
+  const [showSettings, setShowSettings] = useState(false);
   // API integration scaffold states
   const [apiMode, setApiMode] = useState(false); // toggle to enable backend
   const [apiPending, setApiPending] = useState(false);
   const [apiError, setApiError] = useState('');
   const [apiModel, setApiModel] = useState('');
   const lastApiRef = useRef(0);
+  const [apiStage, setApiStage] = useState(''); // last streamed event type while a response is in flight
+  const apiResultRef = useRef(null); // latest model result; takes precedence over the heuristic while API mode is on
+  const nutriScoreRef = useRef(null);
   const backoffRef = useRef(0); // ms additional delay after failures
+  const retryAtRef = useRef(0); // server-requested earliest retry (Retry-After)
+  const resultCacheRef = useRef(null);
+  if (!resultCacheRef.current) resultCacheRef.current = createResultCache();
+  const barcodeWindowRef = useRef(null); // cache / upload key: only a barcode decoded in the last moments
+  if (!barcodeWindowRef.current) barcodeWindowRef.current = createBarcodeWindow();
+  const forceRef = useRef(false); // next call bypasses local + server caches
+  const [apiCached, setApiCached] = useState(false);
 
-  // Helper: encode current frame (resized) to base64 JPEG (raw base64 without header)
-  const encodeFrame = (srcCanvas) => new Promise((resolve) => {
-    const maxSide = 512;
+  // Helper: resize current frame to a JPEG blob (longest side <= maxSide; defaults from settings)
+  const frameToBlob = (srcCanvas, maxSide = settingsRef.current.uploadSide, quality = settingsRef.current.jpegQuality) => new Promise((resolve) => {
     const c = document.createElement('canvas');
     let { width, height } = srcCanvas;
     if (width > maxSide || height > maxSide) {
@@ -132,8 +192,14 @@ export default function App() {
     c.width = width; c.height = height;
     const ctx = c.getContext('2d');
     ctx.drawImage(srcCanvas, 0, 0, c.width, c.height);
-    c.toBlob((blob) => {
-      if (!blob) return resolve(null);
+    c.toBlob((blob) => resolve(blob || null), 'image/jpeg', quality);
+  });
+
+  // Helper: encode current frame (resized) to base64 JPEG (raw base64 without header)
+  const encodeFrame = async (srcCanvas, maxSide = settingsRef.current.uploadSide, quality = settingsRef.current.jpegQuality) => {
+    const blob = await frameToBlob(srcCanvas, maxSide, quality);
+    if (!blob) return null;
+    return new Promise((resolve) => {
       const fr = new FileReader();
       fr.onload = () => {
         const result = fr.result || '';
@@ -141,35 +207,198 @@ export default function App() {
         resolve(base64);
       };
       fr.readAsDataURL(blob);
-    }, 'image/jpeg', 0.7);
-  });
+    });
+  };
+
+  // Persist the current result to history with a small thumbnail of the analyzed frame
+  const saveScan = async () => {
+    if (score == null) return;
+    // Offline in API mode: queue the frame so the model can enrich this scan once back online.
+    // The permission prompt needs the click's user activation, so it goes before the first await.
+    const queue = apiMode && !navigator.onLine;
+    if (queue) askNotificationPermission();
+    try {
+      const canvas = grabFrame();
+      const thumb = canvas && canvas.width ? await encodeFrame(canvas, 160, 0.6) : null;
+      const image = queue && canvas && canvas.width ? await frameToBlob(canvas) : null;
+      const id = await addScan({
+        score,
+        confidence,
+        grade: nutriScore ? nutriScore.grade : null,
+        pros,
+        cons,
+        barcode: barcode || null,
+        name: product ? product.name : '',
+        model: apiMode ? apiModel : '',
+        thumbnail: thumb ? `data:image/jpeg;base64,${thumb}` : null,
+        pendingAnalysis: !!image,
+      });
+      if (image) {
+        await queueAnalysis({ scanId: id, barcode: barcode || null, image, clientId: getClientId(), adjust: currentAdjustments() });
+        setReplayMode(await scheduleReplay());
+        setPendingCount(await countPending());
+      }
+      setSaveStatus(image ? 'Saved · queued' : 'Saved');
+    } catch (err) {
+      console.warn('history save failed', err);
+      setSaveStatus('Save failed');
+    }
+    setTimeout(() => setSaveStatus(''), 2000);
+  };
+
+  // Card fields and share text for the result on screen; key tells a prepared card from a stale one
+  const shareContent = () => {
+    const name = product ? product.name : '';
+    const grade = nutriScore ? nutriScore.grade : null;
+    const fields = { score, confidence, grade, name, pros, cons, barcode };
+    const text = `${name || 'This product'} scored ${score}/10${grade ? ` (Nutri-Score ${grade})` : ''}${barcode ? ` · barcode ${barcode}` : ''}`;
+    return { fields, text, key: JSON.stringify(fields) };
+  };
+
+  // Branded result card, shared as a file (plus text) or copied / downloaded where sharing isn't available.
+  // Safari drops the click's user activation across an await, so the prepared PNG goes straight to
+  // navigator.share; only a result that changed a moment ago is encoded here first.
+  const shareResult = async () => {
+    if (score == null) return;
+    const { fields, text, key } = shareContent();
+    const prepared = shareCardRef.current;
+    try {
+      const blob = prepared && prepared.key === key ? prepared.blob : await cardToPng(drawResultCard({ image: grabFrame(), ...fields }));
+      setShareStatus(SHARE_STATUS[await shareCard(blob, { title: 'Health score', text })]);
+    } catch (err) {
+      console.warn('share failed', err);
+      setShareStatus('Share failed');
+    }
+    setTimeout(() => setShareStatus(''), 2000);
+  };
+
+  // Pin the current result into the next free comparison slot
+  const pinCurrent = async () => {
+    if (score == null || pins.length >= MAX_SLOTS) return;
+    const canvas = grabFrame();
+    const thumb = canvas && canvas.width ? await encodeFrame(canvas, 160, 0.6) : null;
+    const sodium = knownNutriments ? (knownNutriments.sodium ?? (knownNutriments.salt !== undefined ? knownNutriments.salt / 2.5 : undefined)) : undefined;
+    setPins(prev => prev.length >= MAX_SLOTS ? prev : [...prev, {
+      id: Date.now(),
+      label: (product && product.name) || barcode || `Product ${prev.length + 1}`,
+      score,
+      confidence,
+      pros,
+      cons,
+      barcode: barcode || null,
+      thumbnail: thumb ? `data:image/jpeg;base64,${thumb}` : null,
+      sugars: knownNutriments ? knownNutriments.sugars : undefined,
+      sodium,
+      allergens: product ? product.allergens : undefined,
+    }]);
+  };
+
+  // On-device OCR for one panel; image defaults to the current frame (ROI crop). Resolves null on failure
+  const runOcr = async (target, image) => {
+    setOcrTarget(target);
+    setOcrStatus('loading');
+    setOcrProgress(0);
+    try {
+      if (!image) {
+        const canvas = grabFrame();
+        if (!canvas || !canvas.width) throw new Error('no camera frame');
+        image = await frameToBlob(canvas, 2048, 0.92); // snapshot now; canvasRef is reused by the loop
+      }
+      const result = await recognizeText(image, (m) => {
+        if (m.status === 'recognizing text') setOcrStatus('reading');
+        if (typeof m.progress === 'number') setOcrProgress(m.progress);
+      });
+      setOcrStatus('done');
+      return result;
+    } catch (err) {
+      console.warn(`${target} OCR failed`, err);
+      setOcrStatus('error');
+      return null;
+    }
+  };
+
+  // Read and check the ingredient list
+  const readIngredients = async (image) => {
+    const res = await runOcr('ingredients', image);
+    if (!res) return;
+    const analysis = analyzeIngredients(res.text);
+    setIngredientRead({ text: res.text, confidence: res.confidence, analysis, barcode: barcode || null });
+    if (analysis.cons.length && voiceEnabled && userActivatedAudio) speak(`Ingredients: ${analysis.cons.slice(0, 3).join('. ')}`);
+  };
+
+  // Read a nutrition facts panel into the editable form; Score there applies it like manual entry
+  const readNutritionLabel = async (image) => {
+    const res = await runOcr('nutrition', image);
+    if (!res) return;
+    setLabelRead({ text: res.text, confidence: res.confidence, ...parseNutritionLabel(res.text) });
+    setShowNutritionForm(true);
+  };
+
+  const ocrBusy = ocrStatus === 'loading' || ocrStatus === 'reading';
+
+  const openCompare = () => {
+    setShowCompare(true);
+    const summary = summarize(pins);
+    if (summary && voiceEnabled && userActivatedAudio) speak(summary);
+  };
 
   const attemptApiAnalyze = useCallback(async (canvas, barcodeVal) => {
-    if (!apiMode || apiPending || !navigator.onLine) return;
+    if (!apiMode || apiPending) return;
+    // Same product still in view: reuse the cached answer without a round trip
+    const phash = dHash(canvas);
+    if (!forceRef.current) {
+      const hit = resultCacheRef.current.get({ hash: phash, barcode: barcodeVal });
+      if (hit) {
+        if (apiResultRef.current !== hit) applyApiResult(hit, true);
+        return;
+      }
+    }
+    if (!navigator.onLine) {
+      setApiError('Offline — saved scans are queued for analysis');
+      return;
+    }
     const now = Date.now();
-    const baseInterval = 2500; // min ms between calls
+    const baseInterval = settingsRef.current.apiInterval; // min ms between calls
+    if (now < retryAtRef.current) return;
     if (now - lastApiRef.current < baseInterval + backoffRef.current) return;
     lastApiRef.current = now;
     setApiError('');
+    setModelNutriments(null); // the previous answer's nutriments may belong to another product
     setApiPending(true);
     try {
-      const image_base64 = await encodeFrame(canvas);
-      if (!image_base64) throw new Error('encode failed');
+      // Binary multipart upload (base64 JSON would add a third to the payload)
+      const blob = await frameToBlob(canvas);
+      if (!blob) throw new Error('encode failed');
+      const form = new FormData();
+      form.append('image', blob, 'frame.jpg');
+      if (barcodeVal) form.append('barcode', barcodeVal);
+      form.append('use_model', 'true');
+      if (forceRef.current) form.append('force', '1');
+      forceRef.current = false;
+      const cacheKey = { hash: phash, barcode: barcodeVal };
+      // Ask for NDJSON progress events; servers without streaming answer with plain JSON
       const resp = await fetch('/api/analyze', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ image_base64, barcode: barcodeVal || undefined, use_model: true })
+        body: form,
+        headers: { Accept: 'application/x-ndjson, application/json', 'X-Client-Id': getClientId() },
       });
+      const retryAfter = parseRetryAfter(resp.headers.get('Retry-After'));
+      if (retryAfter != null && (resp.status === 429 || resp.status === 503)) {
+        // Server says exactly when to come back; no exponential guessing
+        retryAtRef.current = Date.now() + retryAfter;
+        backoffRef.current = 0;
+        setApiError(resp.status === 429 ? `Rate limited — retry in ${Math.ceil(retryAfter / 1000)}s` : `HTTP ${resp.status}`);
+        return;
+      }
       if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-      const data = await resp.json();
-      if (typeof data.score === 'number') {
-        setScore(prev => (prev == null || Math.abs(data.score - prev) >= 1 ? data.score : prev));
+      let result;
+      if ((resp.headers.get('Content-Type') || '').includes('application/x-ndjson') && resp.body) {
+        await readNdjson(resp, (evt) => { if (evt.type === 'final') result = evt; applyApiEvent(evt); });
+      } else {
+        result = await resp.json();
+        applyApiResult(result);
       }
-      if (Array.isArray(data.pros)) setPros(data.pros.slice(0, 6));
-      if (Array.isArray(data.cons)) setCons(data.cons.slice(0, 6));
-      if (typeof data.confidence === 'number') setConfidence(Math.round(Math.min(100, Math.max(0, data.confidence))));
-      if (data.model) setApiModel(String(data.model).slice(0, 24));
-      setLastUpdate(new Date().toLocaleTimeString());
+      if (result && typeof result.score === 'number') resultCacheRef.current.set({ ...cacheKey, result });
       backoffRef.current = 0; // reset backoff
     } catch (err) {
       const prev = backoffRef.current || 2000;
@@ -180,6 +409,45 @@ export default function App() {
     }
   }, [apiMode, apiPending]);
 
+  // Complete result (single-shot JSON or the stream's final event)
+  const applyApiResult = (data, fromLocalCache = false) => {
+    setApiStage('');
+    setApiCached(fromLocalCache || !!data.cached);
+    setModelNutriments(data.nutriments && typeof data.nutriments === 'object' ? data.nutriments : null);
+    if (data.model) setApiModel(String(data.model).slice(0, 40));
+    if (nutriScoreRef.current) return; // nutrition-based score stands
+    apiResultRef.current = data;
+    showApiResult(data);
+  };
+
+  // Model answer so far, with the profile / ingredient adjustments on top like every other score source
+  const showApiResult = (r) => {
+    const adjusted = adjustRef.current(r.score, Array.isArray(r.pros) ? r.pros : [], Array.isArray(r.cons) ? r.cons : []);
+    setScoring(null);
+    if (typeof r.score === 'number') {
+      setScore(prev => settleScore(prev, adjusted.score, settingsRef.current.hysteresis));
+    }
+    // Partial streams keep the previous lists until the model's arrive; profile conflicts show at once
+    if (Array.isArray(r.pros)) setPros(adjusted.pros.slice(0, 6));
+    if (Array.isArray(r.cons) || adjusted.cons.length) setCons(adjusted.cons.slice(0, 6));
+    if (typeof r.confidence === 'number') setConfidence(Math.round(Math.min(100, Math.max(0, r.confidence))));
+    setLastUpdate(new Date().toLocaleTimeString());
+  };
+
+  // Streamed partial events: start -> score -> pros -> cons -> confidence -> final
+  const applyApiEvent = (evt) => {
+    if (evt.type === 'final') return applyApiResult(evt);
+    setApiStage(evt.type);
+    setApiCached(false);
+    if (evt.type === 'start') {
+      if (evt.model) setApiModel(String(evt.model).slice(0, 40));
+      return;
+    }
+    if (nutriScoreRef.current) return;
+    apiResultRef.current = { ...(apiResultRef.current || {}), ...evt };
+    showApiResult(apiResultRef.current);
+  };
+
   // Delayed camera start until first interaction for better autoplay / speech compatibility
   useEffect(() => {
     // Autostart camera but handle failures gracefully
@@ -200,25 +468,65 @@ export default function App() {
   // Keyboard shortcuts (accessibility / power use): v=voice, s=snapshot, r=restart
   useEffect(() => {
     const onKey = (e) => {
-      if (e.target.tagName === 'INPUT') return;
+      // Leave typing (ingredient text, form fields) and browser / OS shortcuts alone
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
       if (e.key.toLowerCase() === 'v') toggleVoice();
-      if (e.key.toLowerCase() === 's') takeSnapshot();
+      if (e.key.toLowerCase() === 's') snapshotRef.current();
       if (e.key.toLowerCase() === 'r') { stopCamera(); startCamera(); }
+      if (e.key.toLowerCase() === 'c') captureBestRef.current();
     };
     window.addEventListener('keydown', onKey);
     return () => window.removeEventListener('keydown', onKey);
   }, [userActivatedAudio, voiceEnabled]);
 
+  useEffect(() => onUpdateAvailable(setUpdateWorker), []);
+
+  // Offline queue: pending count, results merged by the service worker, manual replay when online
+  useEffect(() => {
+    const refresh = () => countPending().then(setPendingCount).catch(() => {});
+    refresh();
+    const unsubscribe = onQueueMessage((msg) => {
+      if (msg.type === 'analysis-merged') {
+        setQueueNotice(`Model result arrived for ${msg.name || 'a saved scan'}: ${msg.score}/10`);
+      } else if (msg.error) {
+        setQueueNotice(`Queued analysis will retry later (${msg.error})`);
+      }
+      refresh();
+    });
+    const onOnline = () => {
+      // Background Sync fires on its own; elsewhere the page kicks the replay
+      countPending()
+        .then(async (n) => { if (n && (await scheduleReplay()) !== 'sync') await replayNow(); })
+        .catch((err) => console.warn('queue replay failed', err));
+    };
+    window.addEventListener('online', onOnline);
+    return () => { unsubscribe(); window.removeEventListener('online', onOnline); };
+  }, []);
+
   const startCamera = async () => {
+    const settings = cameraSettingsRef.current;
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: { facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1080 } },
-        audio: false,
-      });
+      let stream;
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: videoConstraints(settings), audio: false });
+      } catch (err) {
+        if (!settings.deviceId || !['OverconstrainedError', 'NotFoundError'].includes(err.name)) throw err;
+        // Saved camera is gone (unplugged, new browser profile): fall back to the rear camera
+        stream = await navigator.mediaDevices.getUserMedia({ video: videoConstraints({ ...settings, deviceId: '' }), audio: false });
+      }
       if (videoRef.current) {
         videoRef.current.srcObject = stream;
         await videoRef.current.play();
         setRunning(true);
+        const track = stream.getVideoTracks()[0];
+        trackRef.current = track;
+        const caps = trackCapabilities(track);
+        setCameraCaps(caps);
+        if (caps.torch && settings.torch) setTorch(track, true);
+        if (caps.zoom && settings.zoom != null) setZoom(track, Math.min(caps.zoom.max, Math.max(caps.zoom.min, settings.zoom)));
+        // Labels are only exposed once permission is granted, so list devices after starting
+        listCameras().then(setCameras).catch(() => {});
       }
     } catch (err) {
       console.error('camera error', err);
@@ -226,26 +534,47 @@ export default function App() {
     }
   };
 
+  // The rAF loop keeps running (it idles until the video is ready again), so a restart resumes scanning
   const stopCamera = () => {
     if (videoRef.current && videoRef.current.srcObject) {
       videoRef.current.srcObject.getTracks().forEach(t => t.stop());
     }
-    cancelAnimationFrame(rafRef.current);
+    trackRef.current = null;
+  };
+
+  // Device / resolution changes need a new stream; torch and zoom apply to the running track
+  const changeCameraSettings = (next) => {
+    const prev = cameraSettingsRef.current;
+    cameraSettingsRef.current = next;
+    setCameraSettings(next);
+    if (next.deviceId !== prev.deviceId || next.resolution !== prev.resolution) {
+      stopCamera();
+      startCamera();
+      return;
+    }
+    const track = trackRef.current;
+    if (!track) return;
+    if (next.torch !== prev.torch) setTorch(track, next.torch);
+    if (next.zoom !== prev.zoom && next.zoom != null) setZoom(track, next.zoom);
   };
 
+  useEffect(() => { saveCameraSettings(cameraSettings); }, [cameraSettings]);
+
   // Core loop
   useEffect(() => {
     let last = 0;
-    const interval = 400; // slower sampling to reduce fluctuations
+    // slower sampling to reduce fluctuations; scanner mode only decodes, so it can sample faster.
+    // Read per tick so a settings change applies without restarting the loop
+    const interval = () => (scannerModeRef.current ? 120 : settingsRef.current.sampleInterval);
 
     const step = (timestamp) => {
       if (!videoRef.current || videoRef.current.readyState < 2) {
         rafRef.current = requestAnimationFrame(step);
         return;
       }
-      if (timestamp - last >= interval) {
+      if (timestamp - last >= interval()) {
         last = timestamp;
-        captureAndAnalyze();
+        if (captureRef.current) captureRef.current();
       }
       rafRef.current = requestAnimationFrame(step);
     };
@@ -254,76 +583,466 @@ export default function App() {
     return () => cancelAnimationFrame(rafRef.current);
   }, []);
 
-  // Initialize barcode reader lazily
-  const initBarcode = async () => {
-    if (barcodeReaderRef.current) return;
-    barcodeReaderRef.current = new BrowserMultiFormatReader();
+  // Frame worker: analysis + barcode decoding off the main thread
+  useEffect(() => {
+    if (!workerSupported()) return;
+    let pipeline;
+    try {
+      pipeline = createFramePipeline((res) => frameResultRef.current && frameResultRef.current(res));
+    } catch (err) {
+      console.warn('frame worker unavailable, analyzing on the main thread', err);
+      return;
+    }
+    pipelineRef.current = pipeline;
+    return () => { pipeline.terminate(); pipelineRef.current = null; };
+  }, []);
+
+  useEffect(() => { saveSettings(settings); }, [settings]);
+
+  // Gains are per camera; the track's deviceId is known once it runs
+  const wbKey = cameraKey((cameraCaps && cameraCaps.deviceId) || cameraSettings.deviceId);
+  useEffect(() => { setWhiteBalance(loadCalibration(wbKey)); }, [wbKey]);
+
+  // Camera frames are analyzed with the white-balance gains; batch uploads (any camera) are not
+  const analyzerConfig = useMemo(
+    () => ({ ...analyzerOptions(settings), gains: whiteBalance ? whiteBalance.gains : null }),
+    [settings, whiteBalance],
+  );
+
+  // Settings apply to the running analyzers (main thread and worker) without a reload
+  useEffect(() => {
+    configureAnalyzer(analyzerConfig);
+    if (pipelineRef.current) pipelineRef.current.configureAnalyzer(analyzerConfig);
+  }, [analyzerConfig]);
+
+  // Scores before and after a gain change aren't comparable; start the histories over
+  const resetAnalyzers = () => {
+    resetAnalyzer();
+    if (pipelineRef.current) pipelineRef.current.reset();
   };
 
-  const decodeBarcodeFromCanvas = (canvas) => {
-    if (!barcodeReaderRef.current) return;
-    try {
-      const luminanceSource = barcodeReaderRef.current.createLuminanceSource(canvas, canvas.width, canvas.height);
-      const binaryBitmap = barcodeReaderRef.current.createBinaryBitmap(luminanceSource);
-      const result = barcodeReaderRef.current.decodeBitmap(binaryBitmap);
-      if (result && result.getText && result.getText() !== barcode) {
-        setBarcode(result.getText());
-      }
-    } catch (_) { /* ignore no barcode */ }
+  // White-balance calibration: the card has to cover the box in the middle of the frame (or ROI)
+  const measureWhiteBalance = async () => {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth || wbStep === 'measuring') return;
+    setWbStep('measuring');
+    setWbError('');
+    const result = await calibrateFromVideo(video, roiToPixels(roi, video.videoWidth, video.videoHeight));
+    if (!result.gains) {
+      setWbError(result.error);
+      setWbStep('aim');
+      return;
+    }
+    setWhiteBalance(saveCalibration(wbKey, result.gains));
+    setWbStep('');
+    resetAnalyzers();
   };
 
-  const captureAndAnalyze = () => {
+  const startWhiteBalance = () => {
+    if (frozen) resumeLive(); // the card has to be measured on live video
+    setWbError('');
+    setWbStep('aim');
+  };
+
+  const clearWhiteBalance = () => {
+    clearCalibration(wbKey);
+    setWhiteBalance(null);
+    resetAnalyzers();
+  };
+
+  // Same symbologies / hints on the worker and the main-thread decoder
+  useEffect(() => {
+    saveScannerSettings(scannerSettings);
+  }, [scannerSettings]);
+
+  // TRY_HARDER costs every live frame a slower decode; only scanner mode, which skips the analyzer, pays for it
+  const liveDecoderOptions = { ...scannerSettings, tryHarder: scannerSettings.tryHarder && scannerMode };
+  useEffect(() => {
+    if (pipelineRef.current) pipelineRef.current.configure(liveDecoderOptions);
+    if (decoderRef.current) decoderRef.current.configure(liveDecoderOptions);
+  }, [scannerSettings, scannerMode]);
+
+  const decodeBarcode = (imageData) => {
+    if (!decoderRef.current) decoderRef.current = createBarcodeDecoder(liveDecoderOptions);
+    return decoderRef.current.decode(imageData);
+  };
+
+  // Record a decoded code, confirm new ones, and switch the product when it carries a GTIN.
+  // Returns the GTIN or null.
+  const handleDecoded = (found) => {
+    if (!found) return null;
+    const tracker = scanTrackerRef.current || (scanTrackerRef.current = createScanTracker());
+    if (tracker.seen(found, scannerSettings.windowMs)) scanFeedback(scannerSettings, found);
+    setRecentCodes(tracker.recent());
+    const code = productCodeOf(found);
+    if (code && code !== barcode) setBarcode(code);
+    return code;
+  };
+
+  const clearRecentCodes = () => {
+    if (scanTrackerRef.current) scanTrackerRef.current.clear();
+    setRecentCodes([]);
+  };
+
+  // Draw the current video frame (ROI crop, full resolution) into canvasRef for API upload, snapshot, thumbnails
+  const grabFrame = () => {
+    if (frozen && frozenCanvasRef.current) return frozenCanvasRef.current;
     const video = videoRef.current;
     const canvas = canvasRef.current;
-    if (!video || !canvas) return;
+    if (!video || !canvas || !video.videoWidth) return canvas;
+    const crop = roiToPixels(roi, video.videoWidth, video.videoHeight);
+    if (canvas.width !== crop.w || canvas.height !== crop.h) {
+      canvas.width = crop.w;
+      canvas.height = crop.h;
+    }
+    canvas.getContext('2d').drawImage(video, crop.x, crop.y, crop.w, crop.h, 0, 0, crop.w, crop.h);
+    return canvas;
+  };
+
+  const captureAndAnalyze = () => {
+    const video = videoRef.current;
+    if (!video || frozen || capturing) return;
     const w = video.videoWidth;
     const h = video.videoHeight;
     if (!w || !h) return;
-    // Use full frame for better signal (previously cropped center)
-    canvas.width = w;
-    canvas.height = h;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(video, 0, 0, w, h, 0, 0, w, h);
-
-    // ImageData for analysis
-    const imgData = ctx.getImageData(0, 0, w, h);
-
-    const imageData = ctx.getImageData(0,0,w,h);
-    const analysis = analyzeImageData(imageData);
-    decodeBarcodeFromCanvas(canvas);
+    const crop = roiToPixels(roi, w, h);
+    const recorder = recorderRef.current;
+    if (pipelineRef.current && !recorder) {
+      pipelineRef.current.submit(video, crop, { decodeOnly: scannerMode }); // result arrives in applyFrameResult
+      return;
+    }
+    // Fallback (and recording): same work on the main thread, on a downscaled copy with a single readback
+    const t0 = performance.now();
+    const { width, height } = fitSize(crop.w, crop.h, recorder ? RECORD_SIDE : undefined);
+    const canvas = analysisCanvasRef.current || (analysisCanvasRef.current = document.createElement('canvas'));
+    if (canvas.width !== width || canvas.height !== height) { canvas.width = width; canvas.height = height; }
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, crop.x, crop.y, crop.w, crop.h, 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    if (recorder) {
+      recorder.add(imageData, t0);
+      setRecordedFrames(recorder.count());
+      if (recorder.full()) stopRecording();
+    }
+    const t1 = performance.now();
+    const analysis = scannerMode && !recorder ? null : analyzeImageData(imageData);
+    const t2 = performance.now();
+    const found = decodeBarcode(imageData);
+    const t3 = performance.now();
+    applyFrameResult({ analysis, barcode: found, timings: { read: t1 - t0, analyze: t2 - t1, decode: t3 - t2, total: t3 - t0 } });
+  };
+
+  // still: canvas of a captured frame; its result is applied at once instead of waiting for a stable score
+  const applyFrameResult = ({ analysis, barcode: found, timings }, still = null) => {
+    if (frozen && !still) return; // live result that was in flight when the capture froze the view
+    const pipeline = pipelineRef.current;
+    setFrameStats({ timings, dropped: pipeline ? pipeline.stats.dropped : 0, worker: !!pipeline && !still, still: !!still });
+    const decoded = handleDecoded(found);
+    if (decoded) barcodeWindowRef.current.note(decoded);
+    const barcodeVal = barcodeWindowRef.current.current();
+    const sendToApi = () => {
+      if (!apiMode) return;
+      if (still) lastApiRef.current = 0; // a deliberate capture skips the throttle
+      attemptApiAnalyze(still || grabFrame(), barcodeVal);
+    };
     if (!analysis) return;
     const { mappedScore, conf, lightingState, warnings: dynamicWarnings } = analysis;
+    setLighting(lightingState);
+    if (nutriScore || (apiMode && apiResultRef.current)) {
+      // Score comes from nutrition data or the model; the frame only feeds lighting warnings and the API
+      setScoring(null);
+      setWarnings(dynamicWarnings);
+      sendToApi();
+      return;
+    }
+
+    const described = product ? describeFromProduct(product) : describeFromScore(mappedScore, conf);
+    const { score: targetScore, pros: newPros, cons: newCons } = withAdjustments(mappedScore, described.pros, described.cons);
 
-    // Stable update logic: require persistence of change
+    // Stable update logic: require persistence of change (captures are already deliberate)
     setScore(prev => {
-      if (prev === null || Math.abs(mappedScore - prev) >= 1) {
+      if (still) {
+        if (targetScore !== prev && voiceEnabled && userActivatedAudio) speakScore(targetScore);
+        return targetScore;
+      }
+      if (settleScore(prev, targetScore, settings.hysteresis) !== prev) { // same rule as session replay
         // track persistence
-        if (stableRef.current === mappedScore) {
+        if (stableRef.current === targetScore) {
           consecutiveStableRef.current += 1;
         } else {
-          stableRef.current = mappedScore;
+          stableRef.current = targetScore;
           consecutiveStableRef.current = 1;
         }
-        if (voiceEnabled && userActivatedAudio && consecutiveStableRef.current >= 2 && mappedScore !== prev) {
-          speakScore(mappedScore);
+        if (voiceEnabled && userActivatedAudio && consecutiveStableRef.current >= 2 && targetScore !== prev) {
+          speakScore(targetScore);
         }
-        return mappedScore;
+        return targetScore;
       } else {
         // no big change; keep existing
         return prev;
       }
     });
 
-    const { pros: newPros, cons: newCons } = describeFromScore(mappedScore, conf);
-
     setPros(newPros);
     setCons(newCons);
     setLastUpdate(new Date().toLocaleTimeString());
     setConfidence(Math.round(conf * 100));
+    setScoring({ scorer: analysis.scorer, category: analysis.category, factors: analysis.factors });
     setWarnings(dynamicWarnings);
     // Attempt backend enrichment (throttled)
-    attemptApiAnalyze(canvas, barcode);
+    sendToApi();
+  };
+
+  // Burst capture: ~1 s of frames, keep the sharpest / best exposed, freeze on it and analyze it once
+  const captureBest = async () => {
+    const video = videoRef.current;
+    if (capturing || !video || !video.videoWidth) return;
+    setFrozen(null);
+    setCapturing(0.01);
+    try {
+      const crop = roiToPixels(roi, video.videoWidth, video.videoHeight);
+      const t0 = performance.now();
+      const burst = await captureBurst(video, crop, { onProgress: (p) => setCapturing(Math.max(0.01, p)) });
+      const t1 = performance.now();
+      // Fresh analyzer: the result depends on this frame only, not on the live history
+      const analysis = createAnalyzer(analyzerConfig).analyzeImageData(burst.imageData);
+      const t2 = performance.now();
+      const full = burst.canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, burst.canvas.width, burst.canvas.height);
+      const found = decodeBarcode(burst.imageData) || decodeBarcode(full);
+      const t3 = performance.now();
+      frozenCanvasRef.current = burst.canvas;
+      setFrozen({ url: burst.canvas.toDataURL('image/jpeg', 0.85), best: burst.best, bestIndex: burst.bestIndex, candidates: burst.candidates });
+      apiResultRef.current = null; // new deliberate scan: previous model answer no longer applies
+      // This closure is ~1 s old: apply through the ref so current state (api mode, product, nutrition) decides
+      frameResultRef.current({ analysis, barcode: found, timings: { burst: t1 - t0, analyze: t2 - t1, decode: t3 - t2, total: t3 - t0 } }, burst.canvas);
+    } catch (err) {
+      console.warn('burst capture failed', err);
+    } finally {
+      setCapturing(0);
+    }
+  };
+
+  // Record the analyzer's input from a clean history, so replay starts where the live score did
+  const startRecording = () => {
+    resetAnalyzer();
+    recorderRef.current = createRecorder({ roi, settings: { ...analyzerConfig, hysteresis: settings.hysteresis } });
+    setRecordedFrames(0);
+  };
+
+  const stopRecording = async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    recorderRef.current = null;
+    setRecordedFrames(null);
+    if (pipelineRef.current) pipelineRef.current.reset(); // its history predates the recording
+    if (!recorder.count()) return;
+    const blob = await recorder.toBlob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `session-${Date.now()}.phsrec`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+
+  // Replay uses the current profile / ingredient penalties, like a live frame would
+  const openRecording = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setReplayError('');
+    try {
+      const recording = await loadRecording(file);
+      const timeline = replayRecording(recording, (s) => withAdjustments(s, [], []).score);
+      setReplay({ name: file.name, recording, timeline });
+    } catch (err) {
+      console.warn('replay failed', err);
+      setReplayError(err.message || 'Could not read recording');
+    }
+  };
+
+  const resumeLive = () => {
+    setFrozen(null);
+    frozenCanvasRef.current = null;
+    resetAnalyzers();
+  };
+  captureRef.current = captureAndAnalyze;
+  scannerModeRef.current = scannerMode;
+  captureBestRef.current = captureBest;
+  frameResultRef.current = applyFrameResult;
+
+  // Track rendered and intrinsic video size so the ROI overlay lines up with object-cover
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    const onMeta = () => { if (video.videoWidth) setVideoSize({ width: video.videoWidth, height: video.videoHeight }); };
+    video.addEventListener('loadedmetadata', onMeta);
+    video.addEventListener('resize', onMeta);
+    let observer = null;
+    if (typeof ResizeObserver !== 'undefined') {
+      observer = new ResizeObserver(([entry]) => setViewSize({ width: entry.contentRect.width, height: entry.contentRect.height }));
+      observer.observe(video);
+    }
+    return () => {
+      video.removeEventListener('loadedmetadata', onMeta);
+      video.removeEventListener('resize', onMeta);
+      if (observer) observer.disconnect();
+    };
+  }, []);
+
+  // A new region is new content: drop the rolling histories built on the old one
+  useEffect(() => {
+    resetAnalyzer();
+    if (pipelineRef.current) pipelineRef.current.reset();
+  }, [roi]);
+
+  const pointerToVideo = (e) => {
+    const rect = videoRef.current.getBoundingClientRect();
+    return elementToVideo({ x: e.clientX - rect.left, y: e.clientY - rect.top }, rect, videoSize);
+  };
+
+  const onRoiPointerDown = (e) => {
+    if (!videoSize) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const p = pointerToVideo(e);
+    roiDragRef.current = { start: p };
+  };
+
+  const onRoiPointerMove = (e) => {
+    const drag = roiDragRef.current;
+    if (!drag) return;
+    setRoiDraft(rectFromPoints(drag.start, pointerToVideo(e)));
+  };
+
+  // Drag -> that rectangle; tap -> a square around the product under the finger. Either way focus on it
+  const onRoiPointerUp = (e) => {
+    const drag = roiDragRef.current;
+    roiDragRef.current = null;
+    setRoiDraft(null);
+    if (!drag) return;
+    const next = rectFromPoints(drag.start, pointerToVideo(e)) || rectAroundPoint(drag.start, videoSize);
+    setRoi(next);
+    if (trackRef.current && cameraCaps) focusAt(trackRef.current, cameraCaps, { x: next.x + next.w / 2, y: next.y + next.h / 2 });
+  };
+
+  const onRoiPointerCancel = () => {
+    roiDragRef.current = null;
+    setRoiDraft(null);
+  };
+
+  // Resolve decoded barcode to product details
+  useEffect(() => {
+    if (!barcode) return;
+    let cancelled = false;
+    setIngredientRead(r => (r && r.barcode && r.barcode !== barcode ? null : r)); // read belonged to another product
+    // Manual / label and model nutrition described the previous product (manual outranks every other source)
+    setManualNutrition(null);
+    setLabelRead(null);
+    setModelNutriments(null);
+    setProductStatus('loading');
+    lookupProduct(barcode)
+      .then((p) => {
+        if (cancelled) return;
+        setProduct(p);
+        setProductStatus(p ? 'found' : 'not_found');
+        if (p) {
+          const described = describeFromProduct(p);
+          const { pros: p2, cons: c2 } = adjustRef.current(0, described.pros, described.cons);
+          setPros(p2.slice(0, 6)); setCons(c2.slice(0, 6));
+        }
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.warn('product lookup failed', err);
+        setProduct(null);
+        setProductStatus('error');
+      });
+    return () => { cancelled = true; };
+  }, [barcode]);
+
+  // Known nutrition overrides the visual heuristic. Priority: manual entry > product lookup > model response
+  const nutriScore = useMemo(() => {
+    if (manualNutrition) return computeNutriScore(manualNutrition.nutriments, { kind: manualNutrition.kind });
+    const fromProduct = product && computeNutriScore(product.nutriments, { categories: product.categories });
+    if (fromProduct) return { ...fromProduct, source: 'product' };
+    if (modelNutriments) return computeNutriScore(modelNutriments);
+    return null;
+  }, [manualNutrition, product, modelNutriments]);
+  nutriScoreRef.current = nutriScore;
+  const shareKey = score == null ? '' : shareContent().key;
+  const nutritionSource = manualNutrition ? manualNutrition.source || 'manual' : (nutriScore && nutriScore.source) || (modelNutriments ? 'model' : '');
+
+  useEffect(() => { saveProfile(profile); }, [profile]);
+
+  // Encode the share card once the result holds still, ready for the next Share click
+  useEffect(() => {
+    if (!shareKey) return;
+    const { fields } = shareContent();
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      cardToPng(drawResultCard({ image: grabFrame(), ...fields }))
+        .then((blob) => { if (blob && !cancelled) shareCardRef.current = { key: shareKey, blob }; });
+    }, SHARE_PREPARE_MS);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [shareKey]);
+
+  const knownNutriments = (manualNutrition && manualNutrition.nutriments) || (product && product.nutriments) || modelNutriments || null;
+
+  // Facts the profile rules can check: product tags/ingredients plus the best known nutriments
+  const profileCheck = useMemo(() => {
+    if (isProfileEmpty(profile)) return null;
+    if (!product && !knownNutriments && !ingredientRead) return null;
+    const listed = product ? product.ingredients_text || product.ingredients.join(', ') : '';
+    return checkProfile(profile, {
+      ...(product || {}),
+      ingredients_text: [listed, ingredientRead && ingredientRead.text].filter(Boolean).join(', '),
+      nutriments: knownNutriments || {},
+    });
+  }, [profile, product, knownNutriments, ingredientRead]);
+
+  // Profile conflicts, then ingredient findings, lead the cons list and pull the score down
+  const currentAdjustments = () => {
+    const ing = ingredientRead && ingredientRead.analysis;
+    return {
+      penalty: ((ing && ing.penalty) || 0) + ((profileCheck && profileCheck.penalty) || 0),
+      pros: ing ? ing.pros : [],
+      cons: [...(profileCheck ? profileCheck.conflicts.map(x => x.message) : []), ...(ing ? ing.cons : [])],
+    };
   };
+  const withAdjustments = (s, p, c) => applyAdjustments(currentAdjustments(), s, p, c);
+  adjustRef.current = withAdjustments;
+
+  // A standing model answer picks up profile / ingredient changes too
+  useEffect(() => {
+    if (!nutriScore && apiMode && apiResultRef.current) showApiResult(apiResultRef.current);
+  }, [profileCheck, ingredientRead]);
+
+  useEffect(() => {
+    if (!nutriScore) return;
+    const { pros: p, cons: c } = describeNutriScore(nutriScore);
+    if (product) {
+      if (product.allergens.length) c.unshift(`Allergens: ${product.allergens.join(', ')}`);
+      else p.push('No declared allergens');
+    }
+    const adjusted = withAdjustments(nutriScore.score, p, c);
+    setScore(prev => {
+      if (prev !== adjusted.score && voiceEnabled && userActivatedAudio) speakScore(adjusted.score);
+      return adjusted.score;
+    });
+    setPros(adjusted.pros.slice(0, 6));
+    setCons(adjusted.cons.slice(0, 6));
+    setConfidence(Math.round(60 + 40 * nutriScore.completeness));
+    setScoring(null);
+    setLastUpdate(new Date().toLocaleTimeString());
+  }, [nutriScore, profileCheck, ingredientRead]);
+
+  // Distinct spoken alert when a scan newly conflicts with the profile
+  useEffect(() => {
+    const conflicts = profileCheck ? profileCheck.conflicts : [];
+    const key = conflicts.map(c => c.type + ':' + c.key).join('|');
+    if (key === lastAlertRef.current) return;
+    lastAlertRef.current = key;
+    if (conflicts.length && voiceEnabled && userActivatedAudio) speakAlert(conflicts);
+  }, [profileCheck]);
 
   const describeFromScore = (s, conf) => {
     const pros = [];
@@ -349,29 +1068,52 @@ export default function App() {
     return { pros, cons };
   };
 
-  const speakScore = (s) => {
+  const describeFromProduct = (p) => {
+    const pros = [];
+    const cons = [];
+    if (p.allergens.length) cons.push(`Allergens: ${p.allergens.join(', ')}`);
+    else pros.push('No declared allergens');
+    ['organic', 'vegan', 'gluten-free'].forEach(l => { if (p.labels.includes(l)) pros.push(`Labelled ${l}`); });
+    if (p.ingredients.length && p.ingredients.length <= 5) pros.push(`Short ingredient list (${p.ingredients.length})`);
+    if (p.ingredients.length > 10) cons.push(`Long ingredient list (${p.ingredients.length})`);
+    if (!p.ingredients.length) cons.push('Ingredients not listed');
+    return { pros, cons };
+  };
+
+  const speak = (text, { alert = false } = {}) => {
     try {
       const synth = window.speechSynthesis;
       if (!synth) return;
+      if (!alert && alertSpeakingRef.current) return; // don't cut off a profile warning
       synth.cancel();
-      const utter = new SpeechSynthesisUtterance(`Health score ${s} out of 10`);
-      utter.rate = 1;
-      utter.pitch = 1;
+      const utter = new SpeechSynthesisUtterance(text);
+      utter.rate = alert ? 0.9 : 1;
+      utter.pitch = alert ? 0.6 : 1;
       utter.volume = 1;
+      if (alert) {
+        alertSpeakingRef.current = true;
+        utter.onend = utter.onerror = () => { alertSpeakingRef.current = false; };
+        if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+      }
       synth.speak(utter);
     } catch (e) {
       console.warn('TTS failed', e);
     }
   };
 
+  const speakScore = (s) => speak(`Health score ${s} out of 10`);
+
+  const speakAlert = (conflicts) => speak(`Warning. ${conflicts.map(c => c.message).join('. ')}.`, { alert: true });
+
   const takeSnapshot = () => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+    const canvas = grabFrame();
+    if (!canvas || !canvas.width) return;
     const link = document.createElement('a');
     link.href = canvas.toDataURL('image/png');
     link.download = `snapshot-${Date.now()}.png`;
     link.click();
   };
+  snapshotRef.current = takeSnapshot;
 
   const toggleVoice = () => {
     setVoiceEnabled(v => !v);
@@ -381,6 +1123,9 @@ export default function App() {
   const handleImageUpload = (e) => {
     const file = e.target.files && e.target.files[0];
     if(!file) return;
+    if (e.target.files.length > 1) { setBatchFiles(Array.from(e.target.files)); e.target.value = ''; return; } // several images: batch
+    if (uploadMode === 'nutrition') { readNutritionLabel(file); return; }
+    if (uploadMode === 'ingredients') { setShowIngredients(true); readIngredients(file); return; }
     const img = new Image();
     img.onload = () => {
       const off = document.createElement('canvas');
@@ -398,27 +1143,47 @@ export default function App() {
       if (a) {
         // direct state updates (mirror live path)
         const { mappedScore, conf, lightingState, warnings: dynamicWarnings } = a;
-        setScore(mappedScore);
-        const { pros: p, cons: c } = describeFromScore(mappedScore, conf);
+        const d = describeFromScore(mappedScore, conf);
+        const { score: s, pros: p, cons: c } = withAdjustments(mappedScore, d.pros, d.cons);
+        setScore(s);
         setPros(p); setCons(c);
         setConfidence(Math.round(conf*100));
+        setScoring({ scorer: a.scorer, category: a.category, factors: a.factors });
         setLighting(lightingState); setWarnings(dynamicWarnings);
         setLastUpdate(new Date().toLocaleTimeString());
       }
       URL.revokeObjectURL(img.src);
-      initBarcode().then(()=> decodeBarcodeFromCanvas(off));
+      handleDecoded(decodeBarcode(imageData));
     };
     img.src = URL.createObjectURL(file);
   };
 
-  useEffect(()=>{ initBarcode(); },[]);
+  const roiBox = (roiDraft || roi) && viewSize && videoSize ? roiToElement(roiDraft || roi, viewSize, videoSize) : null;
+  const wbBox = wbStep && viewSize && videoSize ? roiToElement(cardRect(roi || { x: 0, y: 0, w: 1, h: 1 }), viewSize, videoSize) : null;
+  const wbStatus = calibrationStatus(whiteBalance);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 to-indigo-900 text-white flex flex-col items-center p-4">
+      {updateWorker && (
+        <div role="status" className="w-full max-w-5xl mb-3 flex items-center gap-3 bg-indigo-600 px-4 py-2 rounded-lg text-sm">
+          <span className="flex-1">New version available.</span>
+          <button onClick={() => applyUpdate(updateWorker)} className="bg-white text-indigo-700 font-semibold px-3 py-1 rounded-md">Reload</button>
+          <button onClick={() => setUpdateWorker(null)} className="bg-white/10 px-3 py-1 rounded-md">Later</button>
+        </div>
+      )}
       <div className="w-full max-w-5xl bg-white/5 rounded-2xl shadow-xl overflow-hidden border border-white/10">
         <div className="flex flex-col md:flex-row">
-          <div className="relative md:w-1/2">
-            <div className="absolute top-3 left-3 z-20 bg-black/40 px-3 py-1 rounded-md text-sm">Live Scan</div>
+          <div className="relative md:w-1/2 overflow-hidden">
+            <div className="absolute top-3 left-3 z-20 bg-black/40 px-3 py-1 rounded-md text-sm">{frozen ? 'Captured' : scannerMode ? 'Scanning barcodes' : 'Live Scan'}{roi ? ' · ROI' : ''}</div>
+            {!wbStep && (
+              <button
+                onClick={() => setShowCamera(true)}
+                title="White balance (camera settings)"
+                className={`absolute top-12 left-3 z-20 px-2 py-0.5 rounded-md text-xs ${wbStatus === 'ok' ? 'bg-emerald-600/80' : wbStatus === 'stale' ? 'bg-amber-500 text-black' : 'bg-black/40'}`}
+              >
+                {wbStatus === 'ok' ? 'WB calibrated' : wbStatus === 'stale' ? 'WB out of date' : 'WB not calibrated'}
+              </button>
+            )}
             <video
               ref={videoRef}
               className="w-full aspect-[3/4] md:aspect-auto md:h-full object-cover bg-black max-h-[70vh]"
@@ -426,6 +1191,47 @@ export default function App() {
               muted
             />
             <canvas ref={canvasRef} className="hidden" />
+            {/* ROI: drag a rectangle or tap a product */}
+            <div
+              className="absolute inset-0 z-10 touch-none cursor-crosshair"
+              onPointerDown={onRoiPointerDown}
+              onPointerMove={onRoiPointerMove}
+              onPointerUp={onRoiPointerUp}
+              onPointerCancel={onRoiPointerCancel}
+            />
+            {roiBox && (
+              <div
+                className={`absolute z-10 pointer-events-none rounded-md border-2 ${roiDraft ? 'border-dashed border-white' : 'border-emerald-400'} shadow-[0_0_0_9999px_rgba(0,0,0,0.35)]`}
+                style={roiBox}
+                aria-hidden="true"
+              />
+            )}
+            {wbBox && (
+              <div className="absolute z-20 pointer-events-none rounded-md border-2 border-dashed border-white" style={wbBox} aria-hidden="true" />
+            )}
+            {wbStep && (
+              <div role="dialog" aria-label="White balance calibration" className="absolute top-12 inset-x-3 z-20 bg-black/70 rounded-md p-3 text-sm space-y-2">
+                <div>Fill the dashed box with a white or grey card, evenly lit by the light you scan under.</div>
+                {wbError && <div className="text-amber-300">{wbError}</div>}
+                <div className="flex gap-2">
+                  <button onClick={measureWhiteBalance} disabled={wbStep === 'measuring'} className="bg-indigo-600 disabled:opacity-40 px-3 py-1 rounded-md">
+                    {wbStep === 'measuring' ? 'Measuring…' : 'Measure'}
+                  </button>
+                  <button onClick={() => { setWbStep(''); setWbError(''); }} className="bg-white/10 px-3 py-1 rounded-md">Cancel</button>
+                </div>
+              </div>
+            )}
+            {frozen && (
+              <div className="absolute inset-0 z-[15] bg-black flex items-center justify-center">
+                <img src={frozen.url} alt="Captured frame" className="max-w-full max-h-full object-contain" />
+                <div className="absolute top-3 right-3 bg-black/60 px-2 py-1 rounded text-[10px]">
+                  Frame {frozen.bestIndex + 1}/{frozen.candidates.length} • sharpness {Math.round(frozen.best.sharpness)} • exposure {Math.round(frozen.best.exposure * 100)}%
+                </div>
+              </div>
+            )}
+            {capturing > 0 && (
+              <div className="absolute top-3 right-3 z-20 bg-indigo-600 px-2 py-1 rounded-md text-xs">Capturing… {Math.round(capturing * 100)}%</div>
+            )}
             <div className="absolute bottom-3 left-3 z-20 flex flex-wrap gap-2">
               <button
                 onClick={toggleVoice}
@@ -436,8 +1242,46 @@ export default function App() {
               <button onClick={takeSnapshot} className="bg-white/10 px-3 py-1 rounded-md text-sm">
                 Snapshot
               </button>
+              {frozen ? (
+                <button onClick={resumeLive} className="bg-emerald-600 px-3 py-1 rounded-md text-sm">
+                  Resume live
+                </button>
+              ) : (
+                <button onClick={captureBest} disabled={capturing > 0 || !running} className="bg-indigo-600 disabled:opacity-40 px-3 py-1 rounded-md text-sm">
+                  Capture
+                </button>
+              )}
               <button
-                onClick={() => { setApiMode(m => !m); if (!apiMode) { backoffRef.current = 0; lastApiRef.current = 0; }}}
+                onClick={() => setScannerMode(v => !v)}
+                aria-pressed={scannerMode}
+                className={`px-3 py-1 rounded-md text-sm ${scannerMode ? 'bg-amber-500 text-black' : 'bg-white/10'}`}
+              >
+                {scannerMode ? 'Scanner: On' : 'Scanner: Off'}
+              </button>
+              {roi && (
+                <button onClick={() => setRoi(null)} className="bg-white/10 px-3 py-1 rounded-md text-sm">
+                  Clear ROI
+                </button>
+              )}
+              <button onClick={saveScan} disabled={score == null} className="bg-white/10 disabled:opacity-40 px-3 py-1 rounded-md text-sm">
+                {saveStatus || 'Save'}
+              </button>
+              <button onClick={shareResult} disabled={score == null} className="bg-white/10 disabled:opacity-40 px-3 py-1 rounded-md text-sm">
+                {shareStatus || 'Share result'}
+              </button>
+              <button onClick={() => setShowHistory(true)} className="bg-white/10 px-3 py-1 rounded-md text-sm">
+                History
+              </button>
+              <button onClick={pinCurrent} disabled={score == null || pins.length >= MAX_SLOTS} className="bg-white/10 disabled:opacity-40 px-3 py-1 rounded-md text-sm">
+                Pin
+              </button>
+              {pins.length > 0 && (
+                <button onClick={openCompare} className="bg-white/10 px-3 py-1 rounded-md text-sm">
+                  Compare ({pins.length}/{MAX_SLOTS})
+                </button>
+              )}
+              <button
+                onClick={() => { setApiMode(m => !m); apiResultRef.current = null; if (!apiMode) { backoffRef.current = 0; lastApiRef.current = 0; retryAtRef.current = 0; }}}
                 className={`px-3 py-1 rounded-md text-sm backdrop-blur ${apiMode ? 'bg-indigo-600' : 'bg-white/10'}`}
               >
                 {apiMode ? 'API: On' : 'API: Off'}
@@ -461,13 +1305,50 @@ export default function App() {
                 <div className="bg-white/10 p-4 rounded-lg min-h-[120px]">
                   <strong className="block mb-1">{score !== null ? `Health score: ${score}/10` : 'Scanning...'}</strong>
                   <div className="text-xs opacity-80 mb-2">Confidence: {confidence}% • Updated: {lastUpdate ?? '–'}</div>
+                  {scoring && (
+                    <details className="text-xs mb-2">
+                      <summary className="cursor-pointer opacity-80">
+                        Scored by {getScorer(scoring.scorer).label}{scoring.category ? ` · ${scoring.category.label}` : ''}
+                      </summary>
+                      <ul className="mt-1 space-y-0.5">
+                        {scoring.factors.map(f => <li key={f.label} className={FACTOR_CLASS[f.effect]}>{f.label}: {f.value}</li>)}
+                      </ul>
+                    </details>
+                  )}
+                  {nutriScore && (
+                    <div className="text-xs mb-2">
+                      <span className="px-2 py-0.5 rounded bg-emerald-700 font-semibold">Nutri-Score {nutriScore.grade}</span>
+                      <span className="opacity-70 ml-2">{nutriScore.points} pts • {nutriScore.kind} • from {nutritionSource}</span>
+                    </div>
+                  )}
                   {apiMode && (
                     <div className="flex items-center gap-2 mb-2 text-[10px]">
-                      <span className={`px-2 py-0.5 rounded ${apiPending ? 'bg-indigo-600 animate-pulse' : 'bg-white/10'}`}>{apiPending ? 'API…' : (apiModel || 'API')}</span>
+                      <span className={`px-2 py-0.5 rounded ${apiPending ? 'bg-indigo-600 animate-pulse' : 'bg-white/10'}`}>{apiPending ? `API…${apiStage && apiStage !== 'start' ? ' ' + apiStage : ''}` : (apiModel || 'API')}</span>
+                      {apiCached && !apiPending && <span className="px-2 py-0.5 rounded bg-white/10" title="Result reused from cache">cached</span>}
+                      <button
+                        onClick={() => { forceRef.current = true; lastApiRef.current = 0; }}
+                        className="px-2 py-0.5 rounded bg-white/10"
+                        title="Ignore cached results and ask the model again"
+                      >
+                        Re-analyze
+                      </button>
                       {apiError && <span className="text-red-400" title={apiError}>Err</span>}
                       {!navigator.onLine && <span className="text-amber-400">Offline</span>}
                     </div>
                   )}
+                  {pendingCount > 0 && (
+                    <div className="flex items-center gap-2 mb-2 text-[10px]">
+                      <span className="px-2 py-0.5 rounded bg-amber-700">{pendingCount} queued for analysis</span>
+                      {replayMode === 'sync' && <span className="opacity-60">sent automatically when back online</span>}
+                      <button onClick={replayNow} disabled={!navigator.onLine} className="px-2 py-0.5 rounded bg-white/10 disabled:opacity-40">Retry now</button>
+                    </div>
+                  )}
+                  {queueNotice && (
+                    <div role="status" className="flex items-center gap-2 mb-2 text-[10px] text-emerald-300">
+                      {queueNotice}
+                      <button onClick={() => setQueueNotice('')} className="opacity-60" aria-label="Dismiss">✕</button>
+                    </div>
+                  )}
                   <div className="grid grid-cols-2 gap-4 text-xs">
                     <div>
                       <div className="text-sm font-semibold mb-1">Pros</div>
@@ -486,6 +1367,150 @@ export default function App() {
               </div>
             </div>
 
+            {profileCheck && profileCheck.conflicts.length > 0 && (
+              <div role="alert" className="bg-rose-700/80 border border-rose-400 p-3 rounded-lg mb-4 text-sm font-semibold space-y-1">
+                {profileCheck.conflicts.map(c => <div key={c.type + c.key}>⛔ {c.message}</div>)}
+              </div>
+            )}
+            {product && (
+              <div className="bg-white/10 p-4 rounded-lg mb-4 text-xs">
+                <div className="flex items-baseline justify-between gap-2 mb-1">
+                  <strong className="text-sm">{product.name || 'Unnamed product'}</strong>
+                  <span className="opacity-60">{product.code}</span>
+                </div>
+                <div className="opacity-80 mb-2">{[product.brand, product.category].filter(Boolean).join(' • ')}</div>
+                <table className="w-full mb-2">
+                  <caption className="text-left opacity-60 mb-1">Nutrition per 100 g</caption>
+                  <tbody>
+                    {NUTRIENT_LABELS.filter(([k]) => product.nutriments[k] !== undefined).map(([k, label, unit]) => (
+                      <tr key={k} className="border-t border-white/10">
+                        <td className="py-0.5">{label}</td>
+                        <td className="py-0.5 text-right">{product.nutriments[k]} {unit}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {product.ingredients.length > 0 && (
+                  <div className="mb-1"><span className="opacity-60">Ingredients: </span>{product.ingredients.join(', ')}</div>
+                )}
+                <div><span className="opacity-60">Allergens: </span>{product.allergens.length ? product.allergens.join(', ') : 'none declared'}</div>
+              </div>
+            )}
+            {nutriScore && nutriScore.kind !== 'water' && (
+              <details className="bg-white/10 p-4 rounded-lg mb-4 text-xs">
+                <summary className="cursor-pointer text-sm font-semibold">Nutri-Score breakdown</summary>
+                <table className="w-full mt-2">
+                  <tbody>
+                    {Object.entries(nutriScore.negative).map(([k, v]) => (
+                      <tr key={k} className="border-t border-white/10"><td className="py-0.5">{k.replace(/_/g, ' ')}</td><td className="py-0.5 text-right text-rose-300">+{v.points}</td></tr>
+                    ))}
+                    {Object.entries(nutriScore.positive).map(([k, v]) => (
+                      <tr key={k} className="border-t border-white/10">
+                        <td className="py-0.5">{k.replace(/_/g, ' ')}{k === 'proteins' && !nutriScore.proteinCounted ? ' (not counted)' : ''}</td>
+                        <td className="py-0.5 text-right text-emerald-300">−{v.points}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            )}
+            <div className="mb-4">
+              <button onClick={() => setShowProfile(v => !v)} className="bg-white/10 px-3 py-1 rounded-md text-xs mr-2">
+                {showProfile ? 'Hide profile' : `My profile${isProfileEmpty(profile) ? '' : ` (${profile.allergens.length + profile.diets.length})`}`}
+              </button>
+              <button onClick={() => setShowNutritionForm(v => !v)} className="bg-white/10 px-3 py-1 rounded-md text-xs mr-2">
+                {showNutritionForm ? 'Hide nutrition entry' : 'Enter nutrition manually'}
+              </button>
+              <button onClick={() => setShowIngredients(v => !v)} className="bg-white/10 px-3 py-1 rounded-md text-xs mr-2">
+                {showIngredients ? 'Hide ingredients' : `Read ingredients${ingredientRead ? ' ✓' : ''}`}
+              </button>
+              <button onClick={() => setShowCamera(v => !v)} className="bg-white/10 px-3 py-1 rounded-md text-xs mr-2">
+                {showCamera ? 'Hide camera settings' : 'Camera settings'}
+              </button>
+              <button onClick={() => setShowScanner(v => !v)} className="bg-white/10 px-3 py-1 rounded-md text-xs mr-2">
+                {showScanner ? 'Hide scanner' : `Scanner${recentCodes.length ? ` (${recentCodes.length})` : ''}`}
+              </button>
+              <button onClick={() => setShowSettings(v => !v)} className="bg-white/10 px-3 py-1 rounded-md text-xs">
+                {showSettings ? 'Hide settings' : 'Settings'}
+              </button>
+              {showSettings && (
+                <div className="mt-2">
+                  <SettingsPanel settings={settings} onChange={setSettings} />
+                </div>
+              )}
+              {showCamera && (
+                <div className="mt-2">
+                  <CameraPanel
+                    cameras={cameras}
+                    settings={cameraSettings}
+                    caps={cameraCaps}
+                    onChange={changeCameraSettings}
+                    whiteBalance={whiteBalance}
+                    onCalibrate={startWhiteBalance}
+                    onClearCalibration={clearWhiteBalance}
+                  />
+                </div>
+              )}
+              {showScanner && (
+                <div className="mt-2">
+                  <ScannerPanel
+                    settings={scannerSettings}
+                    onChange={setScannerSettings}
+                    recent={recentCodes}
+                    onPick={setBarcode}
+                    onClearRecent={clearRecentCodes}
+                  />
+                </div>
+              )}
+              {showProfile && (
+                <div className="mt-2">
+                  <ProfilePanel profile={profile} onChange={setProfile} />
+                </div>
+              )}
+              {showNutritionForm && (
+                <div className="mt-2 space-y-2">
+                  <div className="flex items-center gap-2 text-xs">
+                    <button onClick={() => readNutritionLabel()} disabled={ocrBusy} className="bg-indigo-600 disabled:opacity-40 px-3 py-1 rounded-md">
+                      {ocrBusy && ocrTarget === 'nutrition' ? `Reading label… ${Math.round(ocrProgress * 100)}%` : 'Read nutrition label'}
+                    </button>
+                    {labelRead && (
+                      <span className="opacity-70">
+                        {labelRead.layout === 'us' ? 'US panel' : 'EU table'} • {labelRead.basis}
+                        {labelRead.serving && ` • serving ${labelRead.serving.value} ${labelRead.serving.unit}`} • OCR {labelRead.confidence}%
+                      </span>
+                    )}
+                  </div>
+                  {ocrTarget === 'nutrition' && ocrStatus === 'error' && <div className="text-xs text-red-400">Could not read the label — try again with steadier framing.</div>}
+                  {labelRead && Object.keys(labelRead.nutriments).length === 0 && <div className="text-xs text-amber-300">No nutrition values recognized.</div>}
+                  {labelRead && labelRead.warnings.length > 0 && (
+                    <ul className="text-xs text-amber-300 space-y-0.5">{labelRead.warnings.map((w, i) => <li key={i}>⚠️ {w}</li>)}</ul>
+                  )}
+                  <NutritionForm
+                    initial={labelRead ? labelRead.nutriments : manualNutrition ? manualNutrition.nutriments : product ? product.nutriments : undefined}
+                    initialKind={labelRead ? (labelRead.basis === 'per 100 ml' ? 'beverage' : 'food') : manualNutrition ? manualNutrition.kind : product ? detectKind(product.categories) : 'food'}
+                    title={labelRead ? `Read from label (${labelRead.basis}) — check and correct` : undefined}
+                    onApply={(n) => { setManualNutrition(labelRead ? { ...n, source: 'label' } : n); setLabelRead(null); }}
+                    onClear={manualNutrition || labelRead ? () => { setManualNutrition(null); setLabelRead(null); } : undefined}
+                  />
+                </div>
+              )}
+              {showIngredients && (
+                <div className="mt-2">
+                  <IngredientPanel
+                    status={ocrTarget === 'ingredients' ? ocrStatus : ocrBusy ? 'busy' : ''}
+                    progress={ocrProgress}
+                    read={ingredientRead}
+                    onRead={() => readIngredients()}
+                    onRecheck={(text) => setIngredientRead(r => ({ ...r, text, analysis: analyzeIngredients(text) }))}
+                    onClear={() => { setIngredientRead(null); setOcrStatus(''); }}
+                  />
+                </div>
+              )}
+            </div>
+            {barcode && productStatus === 'loading' && <div className="text-xs opacity-70 mb-2">Looking up {barcode}…</div>}
+            {barcode && productStatus === 'not_found' && <div className="text-xs text-amber-300 mb-2">No product data for {barcode}</div>}
+            {barcode && productStatus === 'error' && <div className="text-xs text-red-400 mb-2">Product lookup failed</div>}
+
             {permissionError && (
               <div className="mt-2 text-red-400 text-sm">Camera error: {permissionError}</div>
             )}
@@ -496,18 +1521,78 @@ export default function App() {
 
       <div className="max-w-5xl mt-4 text-xs text-white/60 text-center space-y-1">
         <div>For best results: steady framing, diffuse lighting, move closer if confidence is low.</div>
-        {lighting && <div className="text-amber-300">Lighting: {lighting}</div>}
+        <div>Drag a rectangle (or tap a product) on the video to analyze only that region.</div>
+        {lighting && (
+          <div className="text-amber-300">
+            Lighting: {lighting}
+            {lighting === 'Too Dark' && cameraCaps && cameraCaps.torch && !cameraSettings.torch && (
+              <button onClick={() => changeCameraSettings({ ...cameraSettings, torch: true })} className="ml-2 bg-amber-500 text-black px-2 py-0.5 rounded">Turn on torch</button>
+            )}
+          </div>
+        )}
         {warnings.length > 0 && (
           <ul className="text-rose-300 space-y-0.5">{warnings.map((w,i)=><li key={i}>⚠️ {w}</li>)}</ul>
         )}
         {barcode && <div className="text-emerald-300">Barcode: {barcode}</div>}
+        {frameStats && (
+          <div className="opacity-60 font-mono">
+            {frameStats.still ? 'capture' : frameStats.worker ? 'worker' : 'main thread'}
+            {Object.entries(frameStats.timings).map(([k, v]) => ` · ${k} ${v.toFixed(1)}`).join('')} ms
+            {frameStats.worker && ` · dropped ${frameStats.dropped}`}
+          </div>
+        )}
       </div>
-      <div className="mt-4 text-[10px] opacity-40">Shortcuts: V=Voice S=Snapshot R=Restart</div>
+      <div className="mt-4 text-[10px] opacity-40">Shortcuts: V=Voice S=Snapshot R=Restart C=Capture</div>
+
+      {showHistory && <HistoryView onClose={() => setShowHistory(false)} />}
+      {replay && <ReplayView {...replay} onClose={() => setReplay(null)} />}
+      {batchFiles && (
+        <BatchView
+          initialFiles={batchFiles}
+          decoderOptions={scannerSettings}
+          analyzerOptions={analyzerOptions(settings)}
+          apiInterval={settings.apiInterval}
+          apiAvailable={navigator.onLine}
+          onClose={() => setBatchFiles(null)}
+        />
+      )}
+      {showCompare && (
+        <CompareView
+          slots={pins}
+          onRemove={(id) => setPins(prev => prev.filter(p => p.id !== id))}
+          onClear={() => setPins([])}
+          onClose={() => setShowCompare(false)}
+          onSpeak={(text) => speak(text)}
+        />
+      )}
 
       {/* Manual image upload fallback */}
       <div className="mt-6">
         <label className="text-xs opacity-70 block mb-1">Upload image (fallback / analysis)</label>
-        <input type="file" accept="image/*" onChange={(e)=>handleImageUpload(e)} className="text-xs" />
+        <div className="flex items-center gap-2">
+          <select value={uploadMode} onChange={(e) => setUploadMode(e.target.value)} className="bg-black/30 rounded px-1 py-0.5 text-xs" aria-label="Use uploaded image for">
+            <option value="colour">Colour heuristic</option>
+            <option value="nutrition">Nutrition label</option>
+            <option value="ingredients">Ingredient list</option>
+          </select>
+          <input type="file" accept="image/*" multiple onChange={(e)=>handleImageUpload(e)} className="text-xs" />
+          <button onClick={() => setBatchFiles([])} className="bg-white/10 px-3 py-1 rounded-md text-xs">Batch…</button>
+        </div>
+      </div>
+
+      {/* Debugging: record the analyzer's input, replay a recording deterministically */}
+      <div className="mt-4">
+        <label className="text-xs opacity-70 block mb-1">Session recording (debug)</label>
+        <div className="flex items-center gap-2 text-xs">
+          {recordedFrames === null ? (
+            <button onClick={startRecording} disabled={!running || scannerMode || !!frozen} className="bg-white/10 disabled:opacity-40 px-3 py-1 rounded-md">Record</button>
+          ) : (
+            <button onClick={stopRecording} className="bg-rose-700 px-3 py-1 rounded-md">Stop &amp; save ({recordedFrames} frames)</button>
+          )}
+          <label className="opacity-70">Replay</label>
+          <input type="file" accept=".phsrec,.json,application/json,application/gzip" onChange={openRecording} className="text-xs" />
+        </div>
+        {replayError && <div className="text-red-400 text-xs mt-1">{replayError}</div>}
       </div>
     </div>
   );
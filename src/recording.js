@@ -0,0 +1,107 @@
+// Session recording and replay of analyzer input, for reproducing score jumps.
+// While recording, live frames are analyzed on the main thread at RECORD_SIDE so the
+// recorded pixels are exactly what the analyzer saw; replay feeds them through a fresh
+// analyzer and the same scoring rules.
+//
+// File (.phsrec, gzip when CompressionStream exists):
+// { format: 'phs-recording', version: 1, createdAt, roi, settings, frames: [{ t, width, height, rgb }] }
+// rgb is base64 of the frame's RGB bytes (alpha is always opaque and dropped); settings are the
+// analyzer options and score hysteresis in effect, so replay doesn't depend on today's settings.
+
+import { createAnalyzer, settleScore } from './analyzer.js';
+
+export const RECORD_SIDE = 320;
+export const MAX_FRAMES = 600; // 4 min at the 400 ms live interval
+const FORMAT = 'phs-recording';
+
+const toBase64 = (bytes) => {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+};
+
+const fromBase64 = (b64) => {
+  const s = atob(b64);
+  const bytes = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes;
+};
+
+/**
+ * createRecorder({ roi, settings }) -> { add(imageData, t), count(), full(), toBlob() }
+ * t is a timestamp in ms; frames store the offset from the first one.
+ */
+export function createRecorder({ roi = null, settings = null } = {}) {
+  const frames = [];
+  let t0 = null;
+
+  const add = ({ data, width, height }, t) => {
+    if (frames.length >= MAX_FRAMES) return false;
+    if (t0 === null) t0 = t;
+    const rgb = new Uint8Array(width * height * 3);
+    for (let i = 0, p = 0; i < data.length; i += 4, p += 3) {
+      rgb[p] = data[i]; rgb[p + 1] = data[i + 1]; rgb[p + 2] = data[i + 2];
+    }
+    frames.push({ t: Math.round(t - t0), width, height, rgb });
+    return true;
+  };
+
+  const toBlob = async () => {
+    const json = JSON.stringify({
+      format: FORMAT,
+      version: 1,
+      createdAt: Date.now(),
+      roi,
+      settings,
+      frames: frames.map(f => ({ t: f.t, width: f.width, height: f.height, rgb: toBase64(f.rgb) })),
+    });
+    const blob = new Blob([json], { type: 'application/json' });
+    if (typeof CompressionStream === 'undefined') return blob;
+    return new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+  };
+
+  return { add, count: () => frames.length, full: () => frames.length >= MAX_FRAMES, toBlob };
+}
+
+/**
+ * Read a recording file (gzip or plain JSON).
+ * Resolves { createdAt, roi, settings, frames: [{ t, imageData: { data, width, height } }] }.
+ */
+export async function loadRecording(file) {
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  const gzipped = head[0] === 0x1f && head[1] === 0x8b;
+  if (gzipped && typeof DecompressionStream === 'undefined') throw new Error('This browser cannot read compressed recordings');
+  const text = gzipped
+    ? await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text()
+    : await file.text();
+  const raw = JSON.parse(text);
+  if (!raw || raw.format !== FORMAT || !Array.isArray(raw.frames)) throw new Error('Not a session recording');
+  const frames = raw.frames.map(({ t, width, height, rgb }) => {
+    const bytes = fromBase64(rgb);
+    if (bytes.length !== width * height * 3) throw new Error('Corrupt frame in recording');
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0, p = 0; p < bytes.length; i += 4, p += 3) {
+      data[i] = bytes[p]; data[i + 1] = bytes[p + 1]; data[i + 2] = bytes[p + 2]; data[i + 3] = 255;
+    }
+    return { t, imageData: { data, width, height } };
+  });
+  return { createdAt: raw.createdAt, roi: raw.roi || null, settings: raw.settings || null, frames };
+}
+
+/**
+ * Run a recording through a fresh analyzer with the recorded settings (defaults for older
+ * recordings). adjust(mappedScore) applies the same ingredient / profile penalties as the
+ * live path (identity when omitted).
+ * Returns one entry per frame: { t, mappedScore, target, score, conf, lightingState, warnings }.
+ */
+export function replayRecording(recording, adjust = (s) => s) {
+  const { hysteresis, ...options } = recording.settings || {};
+  const analyzer = createAnalyzer(options);
+  let score = null;
+  return recording.frames.map(({ t, imageData }) => {
+    const a = analyzer.analyzeImageData(imageData);
+    const target = adjust(a.mappedScore);
+    score = settleScore(score, target, hysteresis);
+    return { t, mappedScore: a.mappedScore, target, score, conf: a.conf, lightingState: a.lightingState, warnings: a.warnings };
+  });
+}
@@ -0,0 +1,89 @@
+// Client-side cache of /api/analyze results keyed by barcode and a perceptual hash
+// (dHash) of the uploaded frame, so holding the camera on the same product reuses
+// the last model answer instead of re-uploading near-identical frames.
+
+const HASH_W = 9;
+const HASH_H = 8;
+
+// 64-bit difference hash as 16 hex chars: shrink to 9x8 grey, compare horizontal neighbours
+export function dHash(srcCanvas) {
+  const c = document.createElement('canvas');
+  c.width = HASH_W; c.height = HASH_H;
+  const ctx = c.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(srcCanvas, 0, 0, HASH_W, HASH_H);
+  const { data } = ctx.getImageData(0, 0, HASH_W, HASH_H);
+  const grey = (x, y) => {
+    const i = (y * HASH_W + x) * 4;
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+  };
+  let hex = '';
+  for (let y = 0; y < HASH_H; y++) {
+    let byte = 0;
+    for (let x = 0; x < HASH_W - 1; x++) byte = (byte << 1) | (grey(x, y) > grey(x + 1, y) ? 1 : 0);
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+export function hamming(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let d = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let x = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (x) { d += x & 1; x >>= 1; }
+  }
+  return d;
+}
+
+/**
+ * Barcode match wins; otherwise the closest hash within maxDistance bits,
+ * skipping entries whose barcode differs from the one in view. maxDistance 0
+ * matches equal hashes only, for exact digests that aren't perceptual.
+ * Shared with the analyze function (netlify/lib/resultCache.js), so keep it DOM-free.
+ */
+export function createResultCache({ ttlMs = 5 * 60 * 1000, maxDistance = 6, maxEntries = 50 } = {}) {
+  let entries = [];
+  const prune = () => {
+    const now = Date.now();
+    entries = entries.filter(e => now - e.ts < ttlMs).slice(-maxEntries);
+  };
+  return {
+    get({ hash, barcode }) {
+      prune();
+      if (barcode) {
+        const byCode = entries.find(e => e.barcode === barcode);
+        if (byCode) return byCode.result;
+      }
+      if (!hash) return null;
+      let best = null;
+      let bestD = maxDistance + 1;
+      for (const e of entries) {
+        if (barcode && e.barcode && e.barcode !== barcode) continue;
+        const d = e.hash === hash ? 0 : maxDistance ? hamming(hash, e.hash) : Infinity;
+        if (d < bestD) { best = e; bestD = d; }
+      }
+      return best ? best.result : null;
+    },
+    set({ hash, barcode, result }) {
+      if (!hash && !barcode) return;
+      entries = entries.filter(e => !(barcode && e.barcode === barcode) && !(hash && e.hash === hash));
+      entries.push({ hash: hash || null, barcode: barcode || null, result, ts: Date.now() });
+      prune();
+    },
+    clear() { entries = []; },
+  };
+}
+
+/**
+ * The barcode to key the cache on: the last one decoded within maxAgeMs. The product
+ * shown stays selected after the code leaves the frame, but a cache hit on it would
+ * answer for whatever the camera points at next.
+ */
+export function createBarcodeWindow(maxAgeMs = 1500) {
+  let code = null;
+  let at = 0;
+  return {
+    note(value, now = Date.now()) { code = value; at = now; },
+    current(now = Date.now()) { return code && now - at <= maxAgeMs ? code : null; },
+  };
+}
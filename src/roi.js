@@ -0,0 +1,73 @@
+// Region of interest: a rectangle in normalized video coordinates { x, y, w, h } (0..1).
+// The <video> is shown with object-fit: cover, so element and video pixels differ by a
+// scale plus a centered crop; these helpers convert between the two.
+
+const MIN_SIDE = 0.05; // smallest ROI side, as a fraction of the frame
+export const TAP_SIDE = 0.35; // square placed around a tap, as a fraction of the shorter side
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+// object-fit: cover mapping for an element of size view showing a video of size video
+function coverTransform(view, video) {
+  const scale = Math.max(view.width / video.width, view.height / video.height);
+  return {
+    scale,
+    offsetX: (view.width - video.width * scale) / 2,
+    offsetY: (view.height - video.height * scale) / 2,
+  };
+}
+
+// Element-relative point (px) -> normalized video point
+export function elementToVideo(pt, view, video) {
+  const { scale, offsetX, offsetY } = coverTransform(view, video);
+  return {
+    x: clamp01((pt.x - offsetX) / scale / video.width),
+    y: clamp01((pt.y - offsetY) / scale / video.height),
+  };
+}
+
+// Normalized ROI -> element box in px, for drawing the overlay
+export function roiToElement(roi, view, video) {
+  const { scale, offsetX, offsetY } = coverTransform(view, video);
+  return {
+    left: offsetX + roi.x * video.width * scale,
+    top: offsetY + roi.y * video.height * scale,
+    width: roi.w * video.width * scale,
+    height: roi.h * video.height * scale,
+  };
+}
+
+// Rectangle spanned by two normalized points; null when too small to be deliberate
+export function rectFromPoints(a, b) {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  const w = Math.abs(a.x - b.x);
+  const h = Math.abs(a.y - b.y);
+  return w >= MIN_SIDE && h >= MIN_SIDE ? { x, y, w, h } : null;
+}
+
+// Square (in video pixels) centred on a tapped point, shifted to stay inside the frame
+export function rectAroundPoint(pt, video, side = TAP_SIDE) {
+  const px = Math.min(video.width, video.height) * side;
+  const w = Math.min(1, px / video.width);
+  const h = Math.min(1, px / video.height);
+  return {
+    x: clamp01(Math.min(pt.x - w / 2, 1 - w)),
+    y: clamp01(Math.min(pt.y - h / 2, 1 - h)),
+    w,
+    h,
+  };
+}
+
+// Normalized ROI -> integer source rect for drawImage / createImageBitmap; full frame when roi is null
+export function roiToPixels(roi, width, height) {
+  if (!roi) return { x: 0, y: 0, w: width, h: height };
+  const x = Math.round(clamp01(roi.x) * width);
+  const y = Math.round(clamp01(roi.y) * height);
+  return {
+    x,
+    y,
+    w: Math.max(1, Math.min(width - x, Math.round(roi.w * width))),
+    h: Math.max(1, Math.min(height - y, Math.round(roi.h * height))),
+  };
+}
@@ -0,0 +1,95 @@
+// Scanner mode: decoder settings, duplicate suppression and new-code feedback
+// (beep, vibration, spoken confirmation). Settings persist in localStorage.
+
+import { BARCODE_FORMATS, RETAIL_FORMATS } from './barcodeDecoder.js';
+
+const STORAGE_KEY = 'phs-scanner-v1';
+const RECENT_MAX = 20;
+
+// A code seen again within this many ms counts as the same sighting
+export const DUPLICATE_WINDOWS = [2000, 5000, 15000, 60000];
+
+export const defaultScannerSettings = () => ({
+  formats: [...RETAIL_FORMATS],
+  tryHarder: true,
+  windowMs: 5000,
+  beep: true,
+  vibrate: true,
+  speak: false,
+});
+
+export function loadScannerSettings() {
+  const d = defaultScannerSettings();
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!raw || typeof raw !== 'object') return d;
+    const formats = Array.isArray(raw.formats) ? raw.formats.filter(f => BARCODE_FORMATS[f]) : [];
+    return {
+      formats: formats.length ? formats : d.formats,
+      tryHarder: typeof raw.tryHarder === 'boolean' ? raw.tryHarder : d.tryHarder,
+      windowMs: DUPLICATE_WINDOWS.includes(raw.windowMs) ? raw.windowMs : d.windowMs,
+      beep: typeof raw.beep === 'boolean' ? raw.beep : d.beep,
+      vibrate: typeof raw.vibrate === 'boolean' ? raw.vibrate : d.vibrate,
+      speak: typeof raw.speak === 'boolean' ? raw.speak : d.speak,
+    };
+  } catch (_) {
+    return d;
+  }
+}
+
+export function saveScannerSettings(settings) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)); } catch (_) { /* private mode */ }
+}
+
+/**
+ * createScanTracker() -> { seen({ text, format }, windowMs, now), recent(), clear() }
+ * seen() returns true when the code is new: never seen this session, or not seen for windowMs.
+ * recent() lists { text, format, count, firstSeen, lastSeen }, most recent first.
+ */
+export function createScanTracker() {
+  let entries = [];
+
+  const seen = ({ text, format }, windowMs, now = Date.now()) => {
+    const key = `${format}:${text}`;
+    const prev = entries.find(e => e.key === key);
+    const isNew = !prev || now - prev.lastSeen > windowMs;
+    const entry = prev
+      ? { ...prev, count: prev.count + (isNew ? 1 : 0), lastSeen: now }
+      : { key, text, format, count: 1, firstSeen: now, lastSeen: now };
+    entries = [entry, ...entries.filter(e => e.key !== key)].slice(0, RECENT_MAX);
+    return isNew;
+  };
+
+  return { seen, recent: () => entries, clear: () => { entries = []; } };
+}
+
+let audioCtx = null;
+
+// Short 880 Hz blip; the AudioContext is created lazily (needs a prior user gesture to sound)
+export function beep() {
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    if (!audioCtx) audioCtx = new Ctx();
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.frequency.value = 880;
+    gain.gain.setValueAtTime(0.2, audioCtx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.08);
+    osc.connect(gain).connect(audioCtx.destination);
+    osc.start();
+    osc.stop(audioCtx.currentTime + 0.08);
+  } catch (_) { /* audio unavailable */ }
+}
+
+export function scanFeedback(settings, { text, format }) {
+  if (settings.beep) beep();
+  if (settings.vibrate && navigator.vibrate) navigator.vibrate(60);
+  if (settings.speak && window.speechSynthesis) {
+    const label = BARCODE_FORMATS[format] || 'barcode';
+    const tail = String(text).slice(-4).split('').join(' ');
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(new SpeechSynthesisUtterance(`${label} ending ${tail}`));
+  }
+}
@@ -0,0 +1,33 @@
+// Scorer registry. A scorer turns one frame into a raw healthiness estimate; the analyzer
+// (src/analyzer.js) owns everything shared between scorers: white balance, lighting state,
+// history smoothing, the 1..10 mapping and the stability part of the confidence.
+//
+// Scorer: { id, label, description, score(imageData, context) -> result }
+//   context: { avg: { r, g, b } channel means 0..1 after white balance, gains: { r, g, b },
+//              luminance, lightingState }
+//   result:  { score: 0..1 (higher = healthier), confidence: 0..1 (evidence in this frame),
+//              factors: [{ label, value, effect: 'pro' | 'con' | 'info' }], warnings: string[],
+//              category?: { id, label, confidence } }
+// Built-ins are registered here at module load, so the frame worker sees the same set.
+
+import { greenScorer } from './greenScorer.js';
+import { hsvScorer } from './hsvScorer.js';
+
+export const DEFAULT_SCORER = 'green';
+
+const registry = new Map();
+
+export function registerScorer(scorer) {
+  if (!scorer || !scorer.id || typeof scorer.score !== 'function') throw new TypeError('A scorer needs an id and a score() function');
+  registry.set(scorer.id, scorer);
+}
+
+export const hasScorer = (id) => registry.has(id);
+
+// Unknown ids (an old setting, a scorer that was removed) fall back to the default
+export const getScorer = (id) => registry.get(id) || registry.get(DEFAULT_SCORER);
+
+export const listScorers = () => [...registry.values()].map(({ id, label, description }) => ({ id, label, description }));
+
+registerScorer(greenScorer);
+registerScorer(hsvScorer);
@@ -0,0 +1,101 @@
+// Tunable scanner constants (sampling, API pacing, upload encoding, analyzer windows and
+// lighting thresholds, score hysteresis) and the scoring method, persisted in localStorage.
+// Presets are complete value sets for the numeric fields; editing any of them in the advanced
+// section makes the settings 'custom'. The scorer is chosen separately and kept across presets.
+
+import { ANALYZER_DEFAULTS } from './analyzer.js';
+import { DEFAULT_SCORER, hasScorer } from './scorers.js';
+
+const STORAGE_KEY = 'phs-settings-v1';
+
+// key -> { label, group, min, max, step, unit? }
+export const SETTING_FIELDS = {
+  sampleInterval: { label: 'Sampling interval', group: 'Sampling', min: 100, max: 5000, step: 50, unit: 'ms' },
+  apiInterval: { label: 'Min time between API calls', group: 'Sampling', min: 500, max: 60000, step: 100, unit: 'ms' },
+  uploadSide: { label: 'Upload size (longest side)', group: 'Upload', min: 128, max: 2048, step: 32, unit: 'px' },
+  jpegQuality: { label: 'JPEG quality', group: 'Upload', min: 0.3, max: 0.95, step: 0.05 },
+  historyLength: { label: 'Score history', group: 'Analyzer', min: 3, max: 100, step: 1, unit: 'frames' },
+  statsLength: { label: 'Brightness / texture history', group: 'Analyzer', min: 3, max: 100, step: 1, unit: 'frames' },
+  darkThreshold: { label: 'Too dark below', group: 'Analyzer', min: 0.01, max: 0.5, step: 0.01 },
+  brightThreshold: { label: 'Too bright above', group: 'Analyzer', min: 0.5, max: 0.99, step: 0.01 },
+  textureThreshold: { label: 'Low texture below', group: 'Analyzer', min: 0, max: 0.05, step: 0.0005 },
+  hysteresis: { label: 'Score change needed', group: 'Analyzer', min: 1, max: 4, step: 1, unit: 'points' },
+};
+
+const BALANCED = {
+  sampleInterval: 400,
+  apiInterval: 2500,
+  uploadSide: 512,
+  jpegQuality: 0.7,
+  ...ANALYZER_DEFAULTS,
+  hysteresis: 1,
+};
+
+// Windows are sized so the histories span a similar time (~10 s) at each sampling rate,
+// except Responsive, which also reacts faster
+export const PRESETS = {
+  battery: { label: 'Battery saver', values: { ...BALANCED, sampleInterval: 1000, apiInterval: 6000, uploadSide: 384, jpegQuality: 0.6, historyLength: 10, statsLength: 12 } },
+  balanced: { label: 'Balanced', values: BALANCED },
+  responsive: { label: 'Responsive', values: { ...BALANCED, sampleInterval: 200, apiInterval: 1500, uploadSide: 768, jpegQuality: 0.8, historyLength: 20, statsLength: 24 } },
+};
+
+export const defaultSettings = () => ({ preset: 'balanced', ...BALANCED, scorer: DEFAULT_SCORER });
+
+// Preset whose values all match, else 'custom'
+export const matchPreset = (values) =>
+  Object.keys(PRESETS).find(name => Object.keys(SETTING_FIELDS).every(k => PRESETS[name].values[k] === values[k])) || 'custom';
+
+/**
+ * Check every field against its range (and dark < bright), and the scorer against the registry.
+ * Returns { settings, errors }: settings keeps the valid values and falls back to the
+ * defaults for the rest; errors maps field -> message.
+ */
+export function validateSettings(values) {
+  const d = defaultSettings();
+  const settings = {};
+  const errors = {};
+  for (const [key, f] of Object.entries(SETTING_FIELDS)) {
+    const v = values ? values[key] : undefined;
+    if (typeof v !== 'number' || !Number.isFinite(v)) {
+      errors[key] = 'Enter a number';
+      settings[key] = d[key];
+    } else if (v < f.min || v > f.max) {
+      errors[key] = `Between ${f.min} and ${f.max}`;
+      settings[key] = d[key];
+    } else {
+      settings[key] = f.step >= 1 ? Math.round(v) : v;
+    }
+  }
+  if (!errors.darkThreshold && !errors.brightThreshold && settings.darkThreshold >= settings.brightThreshold) {
+    errors.darkThreshold = 'Must be below the too-bright threshold';
+    settings.darkThreshold = d.darkThreshold;
+    settings.brightThreshold = d.brightThreshold;
+  }
+  settings.scorer = values && hasScorer(values.scorer) ? values.scorer : d.scorer;
+  settings.preset = matchPreset(settings);
+  return { settings, errors };
+}
+
+export function loadSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!raw || typeof raw !== 'object') return defaultSettings();
+    return validateSettings({ ...defaultSettings(), ...raw }).settings;
+  } catch (_) {
+    return defaultSettings();
+  }
+}
+
+export function saveSettings(settings) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)); } catch (_) { /* private mode */ }
+}
+
+// The subset createAnalyzer / analyzer.configure take
+export const analyzerOptions = (s) => ({
+  historyLength: s.historyLength,
+  statsLength: s.statsLength,
+  darkThreshold: s.darkThreshold,
+  brightThreshold: s.brightThreshold,
+  textureThreshold: s.textureThreshold,
+  scorer: s.scorer,
+});
@@ -0,0 +1,161 @@
+// Shareable result card: the product image, a score ring, confidence, pros / cons, barcode and
+// timestamp drawn onto one canvas, shared through the Web Share API with clipboard / download
+// fallbacks.
+
+const CARD_W = 1080;
+const CARD_H = 1350; // 4:5, fits social feeds without cropping
+const PAD = 64;
+const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+// Ring colour by score: red -> amber -> green
+export const scoreColor = (score) => (score >= 7 ? '#10b981' : score >= 4 ? '#f59e0b' : '#f43f5e');
+
+// Greedy word wrap; returns at most maxLines lines, the last one ellipsized if cut
+function wrap(ctx, text, maxWidth, maxLines) {
+  const words = String(text).split(/\s+/);
+  const lines = [];
+  let line = '';
+  for (let i = 0; i < words.length; i++) {
+    const next = line ? `${line} ${words[i]}` : words[i];
+    if (ctx.measureText(next).width <= maxWidth || !line) { line = next; continue; }
+    lines.push(line);
+    line = words[i];
+    if (lines.length === maxLines) {
+      let last = lines[maxLines - 1];
+      while (last.length > 1 && ctx.measureText(`${last}…`).width > maxWidth) last = last.slice(0, -1);
+      lines[maxLines - 1] = `${last}…`;
+      return lines;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Draw src into the box, cropped to cover it (like object-fit: cover)
+function drawCover(ctx, src, x, y, w, h) {
+  const scale = Math.max(w / src.width, h / src.height);
+  const sw = w / scale, sh = h / scale;
+  ctx.drawImage(src, (src.width - sw) / 2, (src.height - sh) / 2, sw, sh, x, y, w, h);
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+/**
+ * drawResultCard({ image, score, confidence, grade, name, pros, cons, barcode, timestamp }) -> canvas
+ * image: canvas / image of the product (may be null).
+ */
+export function drawResultCard({ image, score, confidence, grade, name, pros = [], cons = [], barcode, timestamp = Date.now() }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = CARD_W; canvas.height = CARD_H;
+  const ctx = canvas.getContext('2d');
+
+  const bg = ctx.createLinearGradient(0, 0, CARD_W, CARD_H);
+  bg.addColorStop(0, '#0f172a');
+  bg.addColorStop(1, '#312e81');
+  ctx.fillStyle = bg;
+  ctx.fillRect(0, 0, CARD_W, CARD_H);
+
+  // Product image
+  const imgH = 560;
+  ctx.save();
+  roundRect(ctx, PAD, PAD, CARD_W - PAD * 2, imgH, 32);
+  ctx.clip();
+  if (image && image.width) drawCover(ctx, image, PAD, PAD, CARD_W - PAD * 2, imgH);
+  else { ctx.fillStyle = 'rgba(255,255,255,0.08)'; ctx.fillRect(PAD, PAD, CARD_W - PAD * 2, imgH); }
+  ctx.restore();
+
+  // Score ring, overlapping the image's bottom edge
+  const cx = CARD_W - PAD - 120, cy = PAD + imgH, r = 110;
+  ctx.beginPath(); ctx.arc(cx, cy, r + 18, 0, Math.PI * 2); ctx.fillStyle = '#0f172a'; ctx.fill();
+  ctx.lineWidth = 22;
+  ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.strokeStyle = 'rgba(255,255,255,0.15)'; ctx.stroke();
+  ctx.beginPath(); ctx.arc(cx, cy, r, -Math.PI / 2, -Math.PI / 2 + (Math.PI * 2 * score) / 10);
+  ctx.strokeStyle = scoreColor(score); ctx.lineCap = 'round'; ctx.stroke();
+  ctx.fillStyle = '#fff'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+  ctx.font = `bold 96px ${FONT}`; ctx.fillText(String(score), cx, cy - 8);
+  ctx.font = `28px ${FONT}`; ctx.globalAlpha = 0.7; ctx.fillText('/ 10', cx, cy + 58); ctx.globalAlpha = 1;
+
+  // Title block
+  ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
+  let y = PAD + imgH + 70;
+  const textW = cx - r - 40 - PAD;
+  ctx.font = `bold 48px ${FONT}`;
+  for (const line of wrap(ctx, name || 'Health score', textW, 2)) { ctx.fillText(line, PAD, y); y += 58; }
+  ctx.font = `30px ${FONT}`; ctx.globalAlpha = 0.8;
+  ctx.fillText([`Confidence ${confidence}%`, grade && `Nutri-Score ${grade}`].filter(Boolean).join(' · '), PAD, y);
+  ctx.globalAlpha = 1;
+  y = Math.max(y + 70, cy + r + 70);
+
+  // Pros / cons columns
+  const colW = (CARD_W - PAD * 2 - 40) / 2;
+  const column = (title, items, x, color) => {
+    let cy2 = y;
+    ctx.font = `bold 34px ${FONT}`; ctx.fillStyle = color; ctx.fillText(title, x, cy2); cy2 += 48;
+    ctx.font = `28px ${FONT}`; ctx.fillStyle = '#fff';
+    for (const item of items.slice(0, 4)) {
+      for (const [i, line] of wrap(ctx, item, colW - 30, 2).entries()) {
+        if (cy2 > CARD_H - 150) return;
+        ctx.fillText(i ? line : `• ${line}`, i ? x + 26 : x, cy2);
+        cy2 += 36;
+      }
+      cy2 += 8;
+    }
+  };
+  column('Pros', pros, PAD, '#6ee7b7');
+  column('Cons', cons, PAD + colW + 40, '#fda4af');
+
+  // Footer
+  ctx.fillStyle = 'rgba(255,255,255,0.1)';
+  ctx.fillRect(0, CARD_H - 110, CARD_W, 110);
+  ctx.fillStyle = '#fff'; ctx.font = `26px ${FONT}`; ctx.globalAlpha = 0.85;
+  ctx.fillText([barcode && `Barcode ${barcode}`, new Date(timestamp).toLocaleString()].filter(Boolean).join(' · '), PAD, CARD_H - 48);
+  ctx.textAlign = 'right'; ctx.font = `bold 26px ${FONT}`;
+  ctx.fillText('Product Health Scanner', CARD_W - PAD, CARD_H - 48);
+  ctx.globalAlpha = 1;
+  return canvas;
+}
+
+// PNG blob of a drawn card (null when encoding fails)
+export const cardToPng = (canvas) => new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+
+/**
+ * Share a card's PNG: Web Share with the image file, else the image on the clipboard, else a download.
+ * Resolves 'shared' | 'copied' | 'downloaded' | 'cancelled'.
+ * Nothing is awaited before navigator.share, so a click handler holding an encoded blob keeps the
+ * user activation that Safari requires; encode with cardToPng before the click.
+ */
+export async function shareCard(blob, { title, text }) {
+  if (!blob) throw new Error('encode failed');
+  const file = new File([blob], `health-score-${Date.now()}.png`, { type: 'image/png' });
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title, text });
+      return 'shared';
+    } catch (err) {
+      if (err.name === 'AbortError') return 'cancelled';
+      console.warn('share failed, falling back', err);
+    }
+  }
+  if (navigator.clipboard && typeof ClipboardItem !== 'undefined') {
+    try {
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+      return 'copied';
+    } catch (err) {
+      console.warn('clipboard copy failed, downloading', err);
+    }
+  }
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = file.name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  return 'downloaded';
+}
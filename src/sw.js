@@ -0,0 +1,223 @@
+// Service worker. The build (swPrecache in vite.config.js) bundles it into one classic
+// script and prepends `self.__PRECACHE = { version, files }`, listing index.html and every hashed bundle; each
+// version is precached atomically into its own cache and served together, so an offline
+// app never mixes old and new files. A new version waits until the page asks it to take over.
+import { applyAdjustments } from './adjustments.js';
+
+const PRECACHE = self.__PRECACHE || { version: 'dev', files: ['/', '/index.html', '/offline.html'] };
+const PRECACHE_NAME = `phs-precache-${PRECACHE.version}`;
+const RUNTIME_NAME = 'phs-runtime-v1'; // OCR assets, icons, product lookups: stale-while-revalidate
+const PRECACHED = new Set(PRECACHE.files.map(f => new URL(f, self.location.origin).href));
+
+self.addEventListener('install', (e) => {
+  // addAll is all-or-nothing: a partly downloaded version never becomes installable
+  e.waitUntil(
+    caches.open(PRECACHE_NAME).then(cache => cache.addAll(PRECACHE.files.map(f => new Request(f, { cache: 'reload' }))))
+  );
+});
+
+self.addEventListener('activate', (e) => {
+  e.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k !== PRECACHE_NAME && k !== RUNTIME_NAME).map(k => caches.delete(k)));
+    // Hashed bundles of older versions that slipped into the runtime cache
+    const runtime = await caches.open(RUNTIME_NAME);
+    for (const req of await runtime.keys()) {
+      if (new URL(req.url).pathname.startsWith('/assets/') && !PRECACHED.has(req.url)) await runtime.delete(req);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Sent by the page's "New version available — reload" banner
+self.addEventListener('message', (e) => {
+  if (e.data && e.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+async function staleWhileRevalidate(e) {
+  const cache = await caches.open(RUNTIME_NAME);
+  const cached = await cache.match(e.request);
+  const network = fetch(e.request).then((resp) => {
+    if (resp.ok) cache.put(e.request, resp.clone());
+    return resp;
+  });
+  if (cached) {
+    e.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+self.addEventListener('fetch', (e) => {
+  const { request } = e;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  // Navigations get this version's index.html, so the page and its bundles always match
+  if (request.mode === 'navigate') {
+    e.respondWith((async () => {
+      const cache = await caches.open(PRECACHE_NAME);
+      const shell = await cache.match('/index.html');
+      if (shell) return shell;
+      try {
+        return await fetch(request);
+      } catch (_) {
+        return (await cache.match('/offline.html')) || Response.error();
+      }
+    })());
+    return;
+  }
+  if (PRECACHED.has(url.href)) {
+    e.respondWith(caches.match(request, { cacheName: PRECACHE_NAME }).then(cached => cached || fetch(request)));
+    return;
+  }
+  // API reads: fresh when online, last answer when not
+  if (url.pathname.startsWith('/api/')) {
+    e.respondWith(
+      fetch(request).then((resp) => {
+        if (resp.ok) { const copy = resp.clone(); caches.open(RUNTIME_NAME).then(cache => cache.put(request, copy)); }
+        return resp;
+      }).catch(() => caches.match(request, { cacheName: RUNTIME_NAME }).then(cached => cached || Response.error()))
+    );
+    return;
+  }
+  e.respondWith(staleWhileRevalidate(e));
+});
+
+// Offline analysis queue: frames saved without a connection wait in IndexedDB ('pending',
+// see src/historyStore.js) and are posted to /api/analyze here, on Background Sync or when
+// the page asks ('replay-queue'). Results are merged into the scan they were saved with.
+const DB_NAME = 'phs-db';
+const DB_VERSION = 2; // keep in step with src/historyStore.js
+const SYNC_TAG = 'phs-analysis-queue';
+const MAX_ATTEMPTS = 5;
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('scans')) {
+        const store = db.createObjectStore('scans', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('ts', 'ts');
+        store.createIndex('barcode', 'barcode');
+      }
+      if (!db.objectStoreNames.contains('pending')) db.createObjectStore('pending', { keyPath: 'id', autoIncrement: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function run(db, storeName, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(c => c.postMessage(message));
+}
+
+// Model result into the saved scan; a Nutri-Score grade still outranks the model, as in the app
+async function mergeResult(db, entry, result) {
+  const scan = entry.scanId != null ? await run(db, 'scans', 'readonly', s => s.get(entry.scanId)) : null;
+  if (!scan) return null;
+  const enrichment = {
+    score: typeof result.score === 'number' ? result.score : null,
+    confidence: typeof result.confidence === 'number' ? Math.round(result.confidence) : null,
+    pros: Array.isArray(result.pros) ? result.pros.slice(0, 6) : [],
+    cons: Array.isArray(result.cons) ? result.cons.slice(0, 6) : [],
+    model: result.model ? String(result.model).slice(0, 40) : '',
+    ts: Date.now(),
+  };
+  const merged = { ...scan, enrichment, pendingAnalysis: false, model: enrichment.model || scan.model };
+  if (!scan.grade && enrichment.score != null) {
+    // Same profile / ingredient adjustments the page applies
+    const adjusted = applyAdjustments(entry.adjust || { penalty: 0, pros: [], cons: [] }, enrichment.score, enrichment.pros, enrichment.cons);
+    merged.heuristicScore = scan.score;
+    merged.score = adjusted.score;
+    if (enrichment.pros.length) merged.pros = adjusted.pros.slice(0, 6);
+    if (enrichment.cons.length) merged.cons = adjusted.cons.slice(0, 6);
+    if (enrichment.confidence != null) merged.confidence = enrichment.confidence;
+  }
+  await run(db, 'scans', 'readwrite', s => s.put(merged));
+  return merged;
+}
+
+// Throws while the network or the server isn't ready, so Background Sync retries later
+async function replayQueue() {
+  const db = await openDB();
+  const entries = await run(db, 'pending', 'readonly', s => s.getAll());
+  let merged = 0;
+  for (const entry of entries) {
+    const form = new FormData();
+    form.append('image', entry.image, 'frame.jpg');
+    if (entry.barcode) form.append('barcode', entry.barcode);
+    form.append('use_model', 'true');
+    form.append('queued_at', String(entry.ts));
+    const resp = await fetch('/api/analyze', {
+      method: 'POST',
+      body: form,
+      headers: { Accept: 'application/json', 'X-Client-Id': entry.clientId || '' },
+    });
+    if (resp.status === 429 || resp.status === 503) throw new Error(`HTTP ${resp.status}`);
+    if (!resp.ok) {
+      // Rejected frame: retry a few times, then give up on it and clear the scan's flag
+      const attempts = entry.attempts + 1;
+      if (attempts < MAX_ATTEMPTS) {
+        await run(db, 'pending', 'readwrite', s => s.put({ ...entry, attempts, lastError: `HTTP ${resp.status}` }));
+      } else {
+        await run(db, 'pending', 'readwrite', s => s.delete(entry.id));
+        const scan = entry.scanId != null ? await run(db, 'scans', 'readonly', s => s.get(entry.scanId)) : null;
+        if (scan) await run(db, 'scans', 'readwrite', s => s.put({ ...scan, pendingAnalysis: false }));
+      }
+      continue;
+    }
+    const scan = await mergeResult(db, entry, await resp.json());
+    await run(db, 'pending', 'readwrite', s => s.delete(entry.id));
+    merged++;
+    if (scan) {
+      await notifyClients({ type: 'analysis-merged', scanId: scan.id, score: scan.score, name: scan.name || scan.barcode || '' });
+      if (self.Notification && Notification.permission === 'granted') {
+        await self.registration.showNotification('Model analysis arrived', {
+          body: `${scan.name || scan.barcode || 'Saved scan'}: ${scan.score}/10`,
+          tag: `phs-analysis-${scan.id}`,
+        });
+      }
+    }
+  }
+  return merged;
+}
+
+async function replayAndReport() {
+  let merged = 0, error = '';
+  try {
+    merged = await replayQueue();
+  } catch (err) {
+    error = err.message || 'replay failed';
+  }
+  const db = await openDB();
+  const remaining = await run(db, 'pending', 'readonly', s => s.count());
+  await notifyClients({ type: 'queue-replayed', merged, remaining, error });
+  if (error) throw new Error(error);
+}
+
+self.addEventListener('sync', (e) => {
+  if (e.tag === SYNC_TAG) e.waitUntil(replayAndReport());
+});
+
+self.addEventListener('message', (e) => {
+  if (e.data && e.data.type === 'replay-queue') e.waitUntil(replayAndReport().catch(() => {}));
+});
+
+self.addEventListener('notificationclick', (e) => {
+  e.notification.close();
+  e.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(windows => (windows.length ? windows[0].focus() : self.clients.openWindow('/')))
+  );
+});
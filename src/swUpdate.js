@@ -0,0 +1,52 @@
+// Service worker registration and update prompt. A new version installs in the background and
+// waits; the app shows a banner and, on "Reload", tells the waiting worker to take over and
+// reloads once it controls the page.
+
+const CHECK_INTERVAL = 60 * 60 * 1000; // also look for a new sw.js hourly in long-lived tabs
+
+let waiting = null;
+const listeners = new Set();
+
+const announce = (worker) => {
+  waiting = worker;
+  listeners.forEach(fn => fn(worker));
+};
+
+// Call fn with the waiting worker now (if any) and whenever a new one is ready; returns unsubscribe
+export function onUpdateAvailable(fn) {
+  listeners.add(fn);
+  if (waiting) fn(waiting);
+  return () => listeners.delete(fn);
+}
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  window.addEventListener('load', async () => {
+    try {
+      const reg = await navigator.serviceWorker.register('/sw.js');
+      // Only an update waits behind a controller; the first install just takes over
+      if (reg.waiting && navigator.serviceWorker.controller) announce(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) announce(worker);
+        });
+      });
+      setInterval(() => reg.update().catch(() => {}), CHECK_INTERVAL);
+    } catch (err) {
+      console.error(err);
+    }
+  });
+}
+
+export function applyUpdate(worker = waiting) {
+  if (!worker) return;
+  let reloaded = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloaded) return;
+    reloaded = true;
+    window.location.reload();
+  });
+  worker.postMessage({ type: 'skip-waiting' });
+}
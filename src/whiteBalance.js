@@ -0,0 +1,112 @@
+// White-balance calibration: per-channel gains measured on a white / grey card, so the
+// analyzer's colour ratios don't follow the light source (warm LEDs vs daylight).
+// Gains are stored per camera in localStorage: { [cameraKey]: { gains: { r, g, b }, ts } }.
+
+import { fitSize } from './framePipeline.js';
+
+const STORAGE_KEY = 'phs-wb-v1';
+export const STALE_AFTER = 12 * 60 * 60 * 1000; // a calibration from this morning says little about tonight's light
+export const GAIN_MIN = 0.5;
+export const GAIN_MAX = 2;
+const CARD_SIDE = 160; // the card is measured on a copy this size
+const CARD_FRACTION = 0.6; // central part of the frame / ROI that has to be covered by the card
+
+// Camera the gains belong to; the default rear camera has no saved deviceId until the track reports one
+export const cameraKey = (deviceId) => deviceId || 'default';
+
+/**
+ * Channel gains that make the card grey, normalized so the mean level is unchanged.
+ * Returns { gains } or { error } when the frame doesn't look like an evenly lit neutral card.
+ */
+export function measureGains({ data }) {
+  let r = 0, g = 0, b = 0, lSum = 0, lSq = 0, n = 0, clipped = 0, total = 0;
+  for (let i = 0; i < data.length; i += 8) {
+    total++;
+    const max = Math.max(data[i], data[i + 1], data[i + 2]);
+    if (max >= 250) { clipped++; continue; } // a clipped channel hides the real ratio
+    const l = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+    r += data[i]; g += data[i + 1]; b += data[i + 2]; lSum += l; lSq += l * l; n++;
+  }
+  if (!total) return { error: 'No image' };
+  if (clipped > total * 0.25) return { error: 'Card is overexposed; tilt it away from the light' };
+  r /= n; g /= n; b /= n;
+  const mean = lSum / n;
+  if (mean < 40) return { error: 'Too dark to calibrate; add light' };
+  const spread = Math.sqrt(Math.max(0, lSq / n - mean * mean)) / mean;
+  if (spread > 0.2) return { error: 'Uneven image; fill the box with the card only' };
+  const grey = (r + g + b) / 3;
+  const gains = { r: grey / r, g: grey / g, b: grey / b };
+  if (Object.values(gains).some(v => !(v >= GAIN_MIN && v <= GAIN_MAX))) return { error: 'Not a neutral card; use white or grey paper' };
+  return { gains: { r: +gains.r.toFixed(3), g: +gains.g.toFixed(3), b: +gains.b.toFixed(3) } };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Central CARD_FRACTION of a crop, in the same (video px or normalized) units
+export const cardRect = (crop) => {
+  const m = (1 - CARD_FRACTION) / 2;
+  return { x: crop.x + crop.w * m, y: crop.y + crop.h * m, w: crop.w * CARD_FRACTION, h: crop.h * CARD_FRACTION };
+};
+
+/**
+ * Measure the card over a few frames and take the per-channel median, so one frame with
+ * a flicker or a passing shadow doesn't decide. crop: ROI or full frame in video pixels.
+ * Resolves { gains } or { error } (the last frame's reason when none was usable).
+ */
+export async function calibrateFromVideo(video, crop, { frames = 5, intervalMs = 120 } = {}) {
+  const card = cardRect(crop);
+  const { width, height } = fitSize(card.w, card.h, CARD_SIDE);
+  const canvas = document.createElement('canvas');
+  canvas.width = width; canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const good = [];
+  let last = { error: 'No frames' };
+  for (let i = 0; i < frames; i++) {
+    if (i) await wait(intervalMs);
+    ctx.drawImage(video, card.x, card.y, card.w, card.h, 0, 0, width, height);
+    last = measureGains(ctx.getImageData(0, 0, width, height));
+    if (last.gains) good.push(last.gains);
+  }
+  if (good.length < Math.ceil(frames / 2)) return { error: last.error || 'Card not steady; hold still' };
+  const mid = (k) => good.map(gn => gn[k]).sort((a, b) => a - b)[Math.floor(good.length / 2)];
+  return { gains: { r: mid('r'), g: mid('g'), b: mid('b') } };
+}
+
+const readAll = () => {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return raw && typeof raw === 'object' ? raw : {};
+  } catch (_) {
+    return {};
+  }
+};
+
+const writeAll = (all) => {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(all)); } catch (_) { /* private mode */ }
+};
+
+const validGains = (g) => g && ['r', 'g', 'b'].every(k => typeof g[k] === 'number' && g[k] >= GAIN_MIN && g[k] <= GAIN_MAX);
+
+// { gains, ts } for this camera, or null
+export function loadCalibration(key) {
+  const entry = readAll()[key];
+  return entry && validGains(entry.gains) && typeof entry.ts === 'number' ? { gains: entry.gains, ts: entry.ts } : null;
+}
+
+export function saveCalibration(key, gains, ts = Date.now()) {
+  const entry = { gains, ts };
+  writeAll({ ...readAll(), [key]: entry });
+  return entry;
+}
+
+export function clearCalibration(key) {
+  const all = readAll();
+  delete all[key];
+  writeAll(all);
+}
+
+export const STATUS_LABELS = { ok: 'Calibrated', stale: 'Calibration is out of date', missing: 'Not calibrated' };
+
+// 'missing' | 'stale' | 'ok'; stale gains still apply, they're just less likely to match the light
+export const calibrationStatus = (entry, now = Date.now()) =>
+  !entry ? 'missing' : now - entry.ts > STALE_AFTER ? 'stale' : 'ok';
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandUpcE, productCodeOf } from '../src/barcodeDecoder.js';
+import { normalizeGtin } from '../netlify/lib/products.js';
+
+test('UPC-E expands to UPC-A for each zero-suppression rule', () => {
+  assert.equal(expandUpcE('04252614'), '042100005264'); // last digit 0-2
+  assert.equal(expandUpcE('01234565'), '012345000065'); // 5-9
+  assert.equal(expandUpcE('01234531'), '012300000451'); // 3
+  assert.equal(expandUpcE('01234543'), '012340000053'); // 4
+  assert.equal(expandUpcE('21234565'), null); // number system 0 or 1 only
+  assert.equal(expandUpcE('123456'), null);
+});
+
+test('a UPC-E scan looks up the UPC-A product', () => {
+  const code = productCodeOf({ text: '04252614', format: 'UPC_E' });
+  assert.equal(code, '042100005264');
+  assert.equal(normalizeGtin(code), '0042100005264');
+  assert.equal(normalizeGtin(productCodeOf({ text: '01234565', format: 'UPC_E' })), '0012345000065');
+});
+
+test('other retail and GS1 codes pass through', () => {
+  assert.equal(productCodeOf({ text: '4006381333931', format: 'EAN_13' }), '4006381333931');
+  assert.equal(productCodeOf({ text: '96385074', format: 'EAN_8' }), '96385074');
+  assert.equal(productCodeOf({ text: '(01)04006381333931(17)250101', format: 'DATA_MATRIX' }), '4006381333931');
+  assert.equal(productCodeOf({ text: 'https://example.com', format: 'QR_CODE' }), null);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkProfile } from '../src/dietProfile.js';
+
+const conflictKeys = (profile, ingredients_text) => checkProfile(profile, { ingredients_text }).conflicts.map(c => c.key);
+
+test('plant milks are not dairy', () => {
+  const profile = { allergens: ['milk'], diets: ['vegan'] };
+  for (const text of ['Water, coconut milk (20%), sugar', 'Oat milk, rapeseed oil', 'almond-milk, salt', 'Soy milk', 'Cocoa butter, rice milk powder']) {
+    assert.deepEqual(conflictKeys(profile, text), [], text);
+  }
+});
+
+test('dairy milk still conflicts', () => {
+  const profile = { allergens: ['milk'], diets: ['vegan'] };
+  assert.deepEqual(conflictKeys(profile, 'Sugar, skimmed milk powder, cocoa'), ['milk', 'vegan']);
+  assert.deepEqual(conflictKeys(profile, 'Milk, coconut milk'), ['milk', 'vegan']);
+  assert.deepEqual(conflictKeys(profile, 'Oats, whole milk'), ['milk', 'vegan']);
+});
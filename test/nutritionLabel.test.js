@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { detectLayout, parseNutritionLabel } from '../src/nutritionLabel.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}.txt`, import.meta.url), 'utf8');
+
+test('a US panel with a 100 g serving stays US', () => {
+  const text = fixture('us-serving-100g');
+  assert.equal(detectLayout(text), 'us');
+  const { layout, serving, nutriments } = parseNutritionLabel(text);
+  assert.equal(layout, 'us');
+  assert.deepEqual(serving, { value: 100, unit: 'g' });
+  assert.equal(nutriments.energy_kcal, 400);
+  assert.equal(nutriments.sodium, 0.48);
+  assert.equal(nutriments.sugars, 20);
+});
+
+test('an EU per-100 g table is EU', () => {
+  const { layout, nutriments } = parseNutritionLabel(fixture('eu-per-100g'));
+  assert.equal(layout, 'eu');
+  assert.equal(nutriments.energy_kj, 1580);
+  assert.equal(nutriments.salt, 0.78);
+});
+
+test('a bare 100g column header outside the serving line is EU', () => {
+  assert.equal(detectLayout('Typical values 100g Serving\nServings per pack 4\nFat 3g 1g'), 'eu');
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResultCache, createBarcodeWindow, hamming } from '../src/resultCache.js';
+import { createResultCache as createServerCache, imageDigest } from '../netlify/lib/resultCache.js';
+
+const A = '0f0f0f0f0f0f0f0f';
+const NEAR_A = '0f0f0f0f0f0f0f0e'; // 1 bit off
+const B = 'f0f0f0f0f0f0f0f0';
+
+test('hamming counts differing bits', () => {
+  assert.equal(hamming(A, A), 0);
+  assert.equal(hamming(A, NEAR_A), 1);
+  assert.equal(hamming(A, B), 64);
+  assert.equal(hamming(A, 'ff'), Infinity);
+});
+
+test('a near hash hits, a far one misses', () => {
+  const cache = createResultCache();
+  const result = { score: 7 };
+  cache.set({ hash: A, result });
+  assert.equal(cache.get({ hash: NEAR_A }), result);
+  assert.equal(cache.get({ hash: B }), null);
+});
+
+test('a barcode decoded in view hits whatever the frame looks like', () => {
+  const cache = createResultCache();
+  const result = { score: 4 };
+  cache.set({ hash: A, barcode: '4006381333931', result });
+  assert.equal(cache.get({ hash: B, barcode: '4006381333931' }), result);
+});
+
+test('a different hash with a stale barcode misses', () => {
+  const cache = createResultCache();
+  const codes = createBarcodeWindow(1500);
+  codes.note('4006381333931', 1000);
+  cache.set({ hash: A, barcode: codes.current(1000), result: { score: 4 } });
+  // Camera moved on to another product; the barcode hasn't been decoded since
+  assert.equal(codes.current(5000), null);
+  assert.equal(cache.get({ hash: B, barcode: codes.current(5000) }), null);
+});
+
+test('server cache matches exact digests only', () => {
+  const cache = createServerCache();
+  const result = { score: 6 };
+  const digest = imageDigest(Buffer.from('frame one'));
+  cache.set({ hash: digest, result });
+  assert.equal(cache.get({ hash: imageDigest(Buffer.from('frame one')) }), result);
+  assert.equal(cache.get({ hash: imageDigest(Buffer.from('frame two')) }), null);
+  assert.equal(cache.get({ hash: null }), null);
+});
+
+test('server cache does not match near perceptual hashes', () => {
+  const cache = createServerCache();
+  cache.set({ hash: A, result: { score: 6 } });
+  assert.equal(cache.get({ hash: NEAR_A }), null);
+});
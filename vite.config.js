@@ -1,6 +1,89 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createReadStream, readFileSync, readdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { build as esbuild } from 'esbuild';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+const tesseractDir = dirname(require.resolve('tesseract.js/package.json'));
+const coreDir = dirname(createRequire(join(tesseractDir, 'package.json')).resolve('tesseract.js-core/package.json'));
+const langDir = join(dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+
+// OCR runtime served from /ocr/ in dev and emitted into the build, so OCR works offline
+const OCR_FILES = {
+  'worker.min.js': join(tesseractDir, 'dist/worker.min.js'),
+  'tesseract-core-lstm.wasm.js': join(coreDir, 'tesseract-core-lstm.wasm.js'),
+  'tesseract-core-simd-lstm.wasm.js': join(coreDir, 'tesseract-core-simd-lstm.wasm.js'),
+  'eng.traineddata.gz': join(langDir, 'eng.traineddata.gz'),
+};
+
+function ocrAssets() {
+  return {
+    name: 'ocr-assets',
+    configureServer(server) {
+      server.middlewares.use('/ocr', (req, res, next) => {
+        const file = OCR_FILES[req.url.replace(/^\//, '').split('?')[0]];
+        if (!file) return next();
+        res.setHeader('Content-Type', file.endsWith('.js') ? 'text/javascript' : 'application/octet-stream');
+        createReadStream(file).pipe(res);
+      });
+    },
+    generateBundle() {
+      for (const [name, file] of Object.entries(OCR_FILES)) {
+        this.emitFile({ type: 'asset', fileName: `ocr/${name}`, source: readFileSync(file) });
+      }
+    },
+  };
+}
+
+// Service worker with the build's precache list: emits precache-manifest.json and sw.js
+// (src/sw.js bundled with its imports, prefixed with the same manifest). The version is a hash
+// of every precached file's name and contents (public files included) and of the worker itself,
+// so any change to what the worker serves yields a new sw.js and the browser sees an update.
+// OCR assets stay out of the precache (several MB, only needed once OCR is used).
+const SW_SOURCE = fileURLToPath(new URL('./src/sw.js', import.meta.url));
+
+// The worker is registered as a classic script, so its imports are inlined into one IIFE
+const bundleSw = async () =>
+  (await esbuild({ entryPoints: [SW_SOURCE], bundle: true, format: 'iife', target: 'es2020', write: false })).outputFiles[0].text;
+
+function swPrecache() {
+  let publicDir = '';
+  return {
+    name: 'sw-precache',
+    enforce: 'post', // after index.html is emitted
+    configResolved(config) { publicDir = config.publicDir; },
+    configureServer(server) {
+      server.middlewares.use('/sw.js', (req, res, next) => {
+        bundleSw().then((code) => {
+          res.setHeader('Content-Type', 'text/javascript');
+          res.end(code);
+        }, next);
+      });
+    },
+    async generateBundle(_, bundle) {
+      const publicFiles = publicDir ? readdirSync(publicDir, { recursive: true, withFileTypes: true }).filter(d => d.isFile()) : [];
+      // file name -> () => contents, for bundle output and public files alike
+      const sources = new Map(Object.entries(bundle).map(([name, out]) => [name, () => (out.type === 'chunk' ? out.code : out.source)]));
+      for (const d of publicFiles) {
+        const path = join(d.parentPath || d.path, d.name);
+        sources.set(path.slice(publicDir.length + 1).split('\\').join('/'), () => readFileSync(path));
+      }
+      const files = [...sources.keys()].filter(f => !f.startsWith('ocr/') && !f.endsWith('.map')).sort();
+      const hash = createHash('sha256');
+      for (const f of files) hash.update(`${f}\n`).update(sources.get(f)()).update('\n');
+      const sw = await bundleSw();
+      const version = hash.update(sw).digest('hex').slice(0, 12);
+      const manifest = { version, files: ['/', ...files.map(f => `/${f}`)] };
+      this.emitFile({ type: 'asset', fileName: 'precache-manifest.json', source: JSON.stringify(manifest, null, 2) });
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source: `self.__PRECACHE = ${JSON.stringify(manifest)};\n${sw}` });
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), ocrAssets(), swPrecache()],
 });